@@ -0,0 +1,170 @@
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { notify } = require('../utils/notifications');
+const ReminderLog = require('../models/ReminderLog');
+const Setting = require('../models/Setting');
+
+const OPEN_STATUSES = ['pending', 'in_progress'];
+const HOUR_MS = 60 * 60 * 1000;
+
+const startOfDay = (date) => {
+    const result = new Date(date);
+    result.setHours(0, 0, 0, 0);
+    return result;
+};
+
+// Tasks are due until the end of their due date (same rule as completeTask)
+const endOfDay = (date) => {
+    const result = new Date(date);
+    result.setHours(23, 59, 59, 999);
+    return result;
+};
+
+// Pick the single reminder stage that applies right now, or null.
+// Only the closest stage is sent, so a task created 10 hours before its
+// deadline gets the 24h reminder but never a late 48h one.
+const getReminderStage = (dueDate, now, hoursBefore, onDay) => {
+    const deadline = endOfDay(dueDate);
+    if (now > deadline) {
+        return null;
+    }
+
+    if (onDay && now >= startOfDay(dueDate)) {
+        return { kind: 'day_of', label: 'today' };
+    }
+
+    const hoursLeft = (deadline - now) / HOUR_MS;
+    const applicable = hoursBefore.filter(hours => hoursLeft <= hours).sort((a, b) => a - b);
+    if (applicable.length === 0) {
+        return null;
+    }
+
+    const hours = applicable[0];
+    return { kind: `${hours}h`, label: `within ${hours} hours` };
+};
+
+// Claim a reminder; returns false when it was already sent
+const claimReminder = async (reminder) => {
+    try {
+        await ReminderLog.create(reminder);
+        return true;
+    } catch (error) {
+        if (error.code === 11000) {
+            return false;
+        }
+        throw error;
+    }
+};
+
+// Reminder configuration from settings
+const getReminderConfig = async () => {
+    const hoursBefore = ((await Setting.getValue('dueDateReminderHours')) || [])
+        .map(Number)
+        .filter(hours => hours > 0);
+    const onDay = await Setting.getValue('dueDateReminderOnDay');
+    return { hoursBefore, onDay };
+};
+
+// Create due-date reminder notifications for task assignees and project milestones
+const sendDueDateReminders = async (now = new Date()) => {
+    const { hoursBefore, onDay } = await getReminderConfig();
+
+    if (hoursBefore.length === 0 && !onDay) {
+        return 0;
+    }
+
+    const taskReminders = await sendTaskReminders(now, hoursBefore, onDay);
+    const milestoneReminders = await sendMilestoneReminders(now, hoursBefore, onDay);
+    return taskReminders + milestoneReminders;
+};
+
+const sendTaskReminders = async (now, hoursBefore, onDay) => {
+    const horizon = new Date(now.getTime() + Math.max(0, ...hoursBefore) * HOUR_MS);
+    const tasks = await Task.find({
+        status: { $in: OPEN_STATUSES },
+        dueDate: { $gte: startOfDay(now), $lte: horizon }
+    }).select('title dueDate assignedTo assignees');
+
+    if (tasks.length === 0) {
+        return 0;
+    }
+
+    let sent = 0;
+    for (const task of tasks) {
+        // Users who turned reminders off are filtered by notify() through their preferences
+        if (!task.assignedTo) {
+            continue;
+        }
+
+        const stage = getReminderStage(task.dueDate, now, hoursBefore, onDay);
+        if (!stage) {
+            continue;
+        }
+
+        // Claim the reminder first so it is only ever sent once
+        if (!(await claimReminder({ task: task._id, kind: stage.kind, dueDate: task.dueDate }))) {
+            continue;
+        }
+
+        await notify({
+            recipients: task.getAssigneeIds(),
+            task: task._id,
+            type: 'due_reminder',
+            message: `Reminder: task "${task.title}" is due ${stage.label} (${new Date(task.dueDate).toDateString()})`
+        });
+        sent++;
+    }
+
+    if (sent > 0) {
+        console.log(`Sent ${sent} due-date reminder(s)`);
+    }
+    return sent;
+};
+
+// Notify the project manager and team about open milestones coming due
+const sendMilestoneReminders = async (now, hoursBefore, onDay) => {
+    const horizon = new Date(now.getTime() + Math.max(0, ...hoursBefore) * HOUR_MS);
+    const projects = await Project.find({
+        status: { $nin: ['completed', 'on-hold'] },
+        milestones: {
+            $elemMatch: {
+                completed: { $ne: true },
+                dueDate: { $gte: startOfDay(now), $lte: horizon }
+            }
+        }
+    }).select('name milestones projectManager team');
+
+    let sent = 0;
+    for (const project of projects) {
+        for (const milestone of project.milestones) {
+            if (milestone.completed || !milestone.dueDate) {
+                continue;
+            }
+
+            const stage = getReminderStage(milestone.dueDate, now, hoursBefore, onDay);
+            if (!stage) {
+                continue;
+            }
+
+            if (!(await claimReminder({ milestone: milestone._id, kind: stage.kind, dueDate: milestone.dueDate }))) {
+                continue;
+            }
+
+            await notify({
+                recipients: [project.projectManager, ...project.team],
+                project: project._id,
+                type: 'milestone_due',
+                message: `Milestone "${milestone.title}" of project "${project.name}" is due ${stage.label} (${new Date(milestone.dueDate).toDateString()})`,
+                metadata: { milestoneId: milestone._id }
+            });
+            sent++;
+        }
+    }
+
+    if (sent > 0) {
+        console.log(`Sent ${sent} milestone reminder(s)`);
+    }
+    return sent;
+};
+
+module.exports = { sendDueDateReminders, getReminderStage };
@@ -0,0 +1,68 @@
+const OutboundEmail = require('../models/OutboundEmail');
+const { sendMail } = require('../utils/mailer');
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5;
+const BATCH_SIZE = 50;
+const RETRY_BASE_MS = 60 * 1000;
+// A send still marked in progress after this long is assumed lost
+const STALE_SEND_MS = 10 * 60 * 1000;
+
+// Delay before the next try: 1, 2, 4, 8... minutes
+const getRetryDelay = (attempts) => RETRY_BASE_MS * 2 ** (attempts - 1);
+
+// Take the next due message off the queue, marking it as being sent
+const claimNextEmail = (now) => OutboundEmail.findOneAndUpdate(
+    {
+        $or: [
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - STALE_SEND_MS) } }
+        ]
+    },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+);
+
+// Send queued notification emails. Failed sends are retried with exponential
+// backoff and marked failed after MAX_ATTEMPTS.
+const processEmailQueue = async (now = new Date()) => {
+    let sent = 0;
+    let failed = 0;
+
+    for (let i = 0; i < BATCH_SIZE; i++) {
+        const email = await claimNextEmail(now);
+        if (!email) {
+            break;
+        }
+
+        try {
+            await sendMail({ to: email.to, subject: email.subject, text: email.text });
+            await OutboundEmail.updateOne(
+                { _id: email._id },
+                { $set: { status: 'sent', sentAt: new Date(), lockedAt: null, lastError: null } }
+            );
+            sent++;
+        } catch (error) {
+            const giveUp = email.attempts >= MAX_ATTEMPTS;
+            await OutboundEmail.updateOne(
+                { _id: email._id },
+                {
+                    $set: {
+                        status: giveUp ? 'failed' : 'pending',
+                        nextAttemptAt: new Date(Date.now() + getRetryDelay(email.attempts)),
+                        lockedAt: null,
+                        lastError: error.message
+                    }
+                }
+            );
+            failed++;
+            console.error(`Error sending email ${email._id} (attempt ${email.attempts}):`, error.message);
+        }
+    }
+
+    if (sent > 0 || failed > 0) {
+        console.log(`Email queue: ${sent} sent, ${failed} failed`);
+    }
+    return sent;
+};
+
+module.exports = { processEmailQueue, getRetryDelay };
@@ -0,0 +1,91 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const OutboundEmail = require('../models/OutboundEmail');
+const { renderDigestEmail } = require('../utils/emailTemplates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Most notifications listed in a single digest
+const MAX_DIGEST_ITEMS = 100;
+
+const startOfDay = (date) => {
+    const result = new Date(date);
+    result.setHours(0, 0, 0, 0);
+    return result;
+};
+
+// Local hour of day after which digests go out
+const getDigestHour = () => {
+    const hour = parseInt(process.env.EMAIL_DIGEST_HOUR, 10);
+    return hour >= 0 && hour <= 23 ? hour : 8;
+};
+
+// Queue one daily digest per user who chose digest delivery, covering the
+// notifications not yet emailed since their previous digest (at most one day back).
+const sendEmailDigests = async (now = new Date()) => {
+    if (now.getHours() < getDigestHour()) {
+        return 0;
+    }
+
+    const today = startOfDay(now);
+    const digestUserIds = await NotificationPreference.find({ emailMode: 'daily_digest' }).distinct('user');
+    if (digestUserIds.length === 0) {
+        return 0;
+    }
+
+    const users = await User.find({
+        _id: { $in: digestUserIds },
+        $or: [{ lastDigestAt: null }, { lastDigestAt: { $lt: today } }]
+    }).select('name email lastDigestAt');
+
+    let queued = 0;
+    for (const user of users) {
+        // Claim today's digest first so it is only ever queued once
+        const claimed = await User.updateOne(
+            { _id: user._id, lastDigestAt: user.lastDigestAt },
+            { $set: { lastDigestAt: now } }
+        );
+        if (claimed.modifiedCount === 0) {
+            continue;
+        }
+
+        const since = new Date(Math.max(
+            user.lastDigestAt ? user.lastDigestAt.getTime() : 0,
+            now.getTime() - DAY_MS
+        ));
+        const notifications = await Notification.find({
+            recipient: user._id,
+            'channels.email': { $ne: false },
+            emailedAt: null,
+            createdAt: { $gt: since, $lte: now }
+        })
+            .sort({ createdAt: 1 })
+            .limit(MAX_DIGEST_ITEMS);
+
+        if (notifications.length === 0) {
+            continue;
+        }
+
+        const { subject, text } = renderDigestEmail(notifications, user);
+        await OutboundEmail.create({
+            user: user._id,
+            kind: 'digest',
+            notifications: notifications.map(notification => notification._id),
+            to: user.email,
+            subject,
+            text
+        });
+        await Notification.updateMany(
+            { _id: { $in: notifications.map(notification => notification._id) } },
+            { $set: { emailedAt: now } }
+        );
+        queued++;
+    }
+
+    if (queued > 0) {
+        console.log(`Queued ${queued} email digest(s)`);
+    }
+    return queued;
+};
+
+module.exports = { sendEmailDigests };
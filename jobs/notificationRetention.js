@@ -0,0 +1,44 @@
+const Notification = require('../models/Notification');
+const Setting = require('../models/Setting');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Archive notifications read more than `notificationArchiveDays` ago and delete
+// archived ones after `notificationRetentionDays`. Notifications read before
+// readAt was recorded are aged by their creation date.
+const archiveNotifications = async (now = new Date()) => {
+    const archiveDays = Number(await Setting.getValue('notificationArchiveDays'));
+    const retentionDays = Number(await Setting.getValue('notificationRetentionDays'));
+
+    let archived = 0;
+    if (archiveDays > 0) {
+        const archiveCutoff = new Date(now.getTime() - archiveDays * DAY_MS);
+        const result = await Notification.updateMany(
+            {
+                isRead: true,
+                archivedAt: null,
+                $or: [
+                    { readAt: { $lte: archiveCutoff } },
+                    { readAt: null, createdAt: { $lte: archiveCutoff } }
+                ]
+            },
+            { $set: { archivedAt: now } }
+        );
+        archived = result.modifiedCount;
+    }
+
+    let deleted = 0;
+    if (retentionDays > 0) {
+        const result = await Notification.deleteMany({
+            archivedAt: { $ne: null, $lte: new Date(now.getTime() - retentionDays * DAY_MS) }
+        });
+        deleted = result.deletedCount;
+    }
+
+    if (archived > 0 || deleted > 0) {
+        console.log(`Notifications: ${archived} archived, ${deleted} deleted`);
+    }
+    return { archived, deleted };
+};
+
+module.exports = { archiveNotifications };
@@ -0,0 +1,98 @@
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { notify } = require('../utils/notifications');
+const { recordAudit } = require('../utils/audit');
+const { getTaskAudience } = require('../utils/taskAccess');
+const { publishToUsers } = require('../utils/realtime');
+
+// Statuses that can still become overdue
+const OPEN_STATUSES = ['pending', 'in_progress'];
+
+// Tasks are due until the end of their due date (same rule as completeTask),
+// so anything due before the start of today is overdue.
+const getOverdueCutoff = (now = new Date()) => {
+    const cutoff = new Date(now);
+    cutoff.setHours(0, 0, 0, 0);
+    return cutoff;
+};
+
+// Mark past-due open tasks as overdue and notify the assignees, project manager and watchers.
+// Each task is flipped with a conditional update, so concurrent runs never
+// notify twice for the same task, and only once per due date: a task moved
+// back to in_progress afterwards is left alone until its due date changes.
+const markOverdueTasks = async () => {
+    const cutoff = getOverdueCutoff();
+    const pending = {
+        status: { $in: OPEN_STATUSES },
+        dueDate: { $lt: cutoff },
+        overdueNotifiedAt: null
+    };
+    const candidates = await Task.find(pending).select('_id');
+
+    let marked = 0;
+
+    for (const { _id } of candidates) {
+        const now = new Date();
+        const before = await Task.findOneAndUpdate(
+            { _id, ...pending },
+            { $set: { status: 'overdue', overdueNotifiedAt: now, updatedAt: now } },
+            { new: false }
+        );
+
+        // Another instance (or a user) got there first
+        if (!before) {
+            continue;
+        }
+
+        marked++;
+        await recordAudit({
+            action: 'task.overdue',
+            entityType: 'Task',
+            entityId: before._id,
+            before: { status: before.status },
+            after: { status: 'overdue' }
+        });
+
+        try {
+            publishToUsers(await getTaskAudience(before), 'task_status', {
+                taskId: before._id,
+                from: before.status,
+                to: 'overdue',
+                changedBy: null,
+                changedAt: new Date()
+            });
+            await notifyOverdue(before);
+        } catch (error) {
+            console.error(`Error sending overdue notifications for task ${before._id}:`, error);
+        }
+    }
+
+    if (marked > 0) {
+        console.log(`Marked ${marked} task(s) as overdue`);
+    }
+    return marked;
+};
+
+// Notify the assignees, then the project manager and watchers (once per person)
+const notifyOverdue = async (task) => {
+    const project = await Project.findById(task.project).select('projectManager');
+    const dueDate = new Date(task.dueDate).toDateString();
+    const assigneeIds = task.getAssigneeIds();
+
+    await notify({
+        recipients: assigneeIds,
+        task: task._id,
+        type: 'overdue',
+        message: `Your task "${task.title}" is overdue (was due ${dueDate})`
+    });
+
+    await notify({
+        recipients: [project ? project.projectManager : null, ...task.watchers],
+        exclude: assigneeIds,
+        task: task._id,
+        type: 'overdue',
+        message: `Task "${task.title}" is overdue (was due ${dueDate})`
+    });
+};
+
+module.exports = { markOverdueTasks, getOverdueCutoff };
@@ -0,0 +1,108 @@
+const Task = require('../models/Task');
+const RecurringTask = require('../models/RecurringTask');
+const { notify } = require('../utils/notifications');
+const { recordAudit } = require('../utils/audit');
+
+// Upper bound of tasks created for one series per run (catching up after downtime)
+const MAX_OCCURRENCES_PER_RUN = 10;
+
+// Create the tasks of active recurring series whose next occurrence is within
+// their lead time. Each occurrence is claimed by advancing the series with a
+// conditional update first, so concurrent runs never create it twice.
+const createRecurringTasks = async (now = new Date()) => {
+    const dueSeries = await RecurringTask.find({
+        status: 'active',
+        nextRunAt: { $ne: null, $lte: now }
+    });
+
+    let created = 0;
+    for (const series of dueSeries) {
+        try {
+            created += await createDueOccurrences(series, now);
+        } catch (error) {
+            console.error(`Error creating tasks for recurring series ${series._id}:`, error);
+        }
+    }
+
+    if (created > 0) {
+        console.log(`Created ${created} recurring task(s)`);
+    }
+    return created;
+};
+
+const createDueOccurrences = async (series, now) => {
+    let created = 0;
+
+    while (series.status === 'active' && series.nextRunAt && series.nextRunAt <= now &&
+        created < MAX_OCCURRENCES_PER_RUN) {
+        const dueDate = series.nextDueDate;
+        const occurrence = series.occurrencesCreated + 1;
+
+        series.occurrencesCreated = occurrence;
+        series.lastDueDate = dueDate;
+        series.lastCreatedAt = now;
+        series.scheduleOccurrence(series.occurrenceAfter(dueDate));
+
+        const claimed = await RecurringTask.updateOne(
+            { _id: series._id, status: 'active', nextDueDate: dueDate },
+            {
+                $set: {
+                    nextDueDate: series.nextDueDate,
+                    nextRunAt: series.nextRunAt,
+                    status: series.status,
+                    lastDueDate: dueDate,
+                    lastCreatedAt: now,
+                    updatedAt: now
+                },
+                $inc: { occurrencesCreated: 1, __v: 1 }
+            }
+        );
+        // Another instance, or an edit through the API, got there first
+        if (claimed.modifiedCount === 0) {
+            break;
+        }
+
+        await createOccurrenceTask(series, dueDate, occurrence);
+        created++;
+    }
+
+    return created;
+};
+
+// Create one task of the series and tell the assignee about it
+const createOccurrenceTask = async (series, dueDate, occurrence) => {
+    const task = await Task.create({
+        title: series.title,
+        description: series.description,
+        project: series.project,
+        assignedTo: series.assignedTo,
+        priority: series.priority,
+        dueDate,
+        createdBy: series.createdBy,
+        recurringTask: series._id,
+        ...(series.rewardPoints > 0 ? {
+            manualRewardPoints: series.rewardPoints,
+            hasManualReward: true,
+            rewardPoints: series.rewardPoints
+        } : {})
+    });
+
+    await recordAudit({
+        action: 'task.create',
+        entityType: 'Task',
+        entityId: task._id,
+        after: task,
+        metadata: { recurringTask: series._id, occurrence }
+    });
+
+    await notify({
+        recipients: task.assignedTo,
+        task: task._id,
+        type: 'task_assigned',
+        message: `New recurring task "${task.title}" is due ${dueDate.toDateString()}`
+    });
+
+    return task;
+};
+
+module.exports = { createRecurringTasks };
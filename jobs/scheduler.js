@@ -0,0 +1,58 @@
+const os = require('os');
+const crypto = require('crypto');
+const JobLock = require('../models/JobLock');
+
+// Identifies this process when holding job locks
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const timers = [];
+
+// Run `handler` every `intervalMs`, on at most one instance at a time.
+// The lock lease outlives a normal run; if an instance dies mid-run the lease expires.
+const scheduleJob = (name, intervalMs, handler, { runOnStart = true, lockTtlMs = intervalMs } = {}) => {
+    let running = false;
+
+    const run = async () => {
+        // Don't overlap runs within this process
+        if (running) {
+            return;
+        }
+        running = true;
+
+        try {
+            const startedAt = Date.now();
+            const acquired = await JobLock.acquire(name, INSTANCE_ID, lockTtlMs);
+            if (!acquired) {
+                return;
+            }
+
+            try {
+                await handler();
+            } finally {
+                // Small slack so this instance's own next tick is not blocked by timer drift
+                await JobLock.release(name, INSTANCE_ID, new Date(startedAt + intervalMs - 1000));
+            }
+        } catch (error) {
+            console.error(`Scheduled job ${name} failed:`, error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    timers.push(timer);
+
+    if (runOnStart) {
+        run();
+    }
+
+    console.log(`Scheduled job ${name} every ${Math.round(intervalMs / 1000)}s`);
+};
+
+// Stop all scheduled jobs (used on shutdown)
+const stopJobs = () => {
+    timers.splice(0).forEach(timer => clearInterval(timer));
+};
+
+module.exports = { scheduleJob, stopJobs };
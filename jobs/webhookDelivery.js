@@ -0,0 +1,87 @@
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { sendWebhookRequest } = require('../utils/webhooks');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const BATCH_SIZE = 50;
+const RETRY_BASE_MS = 30 * 1000;
+// An attempt still marked in progress after this long is assumed lost
+const STALE_ATTEMPT_MS = 10 * 60 * 1000;
+
+// Delay before the next try: 30s, 1m, 2m, 4m... (about an hour before the 8th try)
+const getRetryDelay = (attempts) => RETRY_BASE_MS * 2 ** (attempts - 1);
+
+// Take the next due delivery off the queue, marking it as in progress
+const claimNextDelivery = (now) => WebhookDelivery.findOneAndUpdate(
+    {
+        $or: [
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - STALE_ATTEMPT_MS) } }
+        ]
+    },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+);
+
+// Send queued webhook deliveries. Failed attempts are retried with exponential
+// backoff and marked failed after MAX_ATTEMPTS. Deliveries of webhooks that were
+// deactivated or deleted in the meantime fail without being sent.
+const processWebhookQueue = async (now = new Date()) => {
+    let succeeded = 0;
+    let failed = 0;
+
+    for (let i = 0; i < BATCH_SIZE; i++) {
+        const delivery = await claimNextDelivery(now);
+        if (!delivery) {
+            break;
+        }
+
+        const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+        if (!webhook || !webhook.active) {
+            await WebhookDelivery.updateOne(
+                { _id: delivery._id },
+                { $set: { status: 'failed', lockedAt: null, lastError: 'Webhook is inactive or was deleted' } }
+            );
+            failed++;
+            continue;
+        }
+
+        const result = await sendWebhookRequest(webhook, delivery);
+        const attemptLog = {
+            lockedAt: null,
+            responseStatus: result.responseStatus,
+            responseBody: result.responseBody,
+            durationMs: result.durationMs,
+            lastError: result.error
+        };
+
+        if (result.ok) {
+            await WebhookDelivery.updateOne(
+                { _id: delivery._id },
+                { $set: { ...attemptLog, status: 'succeeded', deliveredAt: new Date() } }
+            );
+            succeeded++;
+        } else {
+            const giveUp = delivery.attempts >= MAX_ATTEMPTS;
+            await WebhookDelivery.updateOne(
+                { _id: delivery._id },
+                {
+                    $set: {
+                        ...attemptLog,
+                        status: giveUp ? 'failed' : 'pending',
+                        nextAttemptAt: new Date(Date.now() + getRetryDelay(delivery.attempts))
+                    }
+                }
+            );
+            failed++;
+            console.error(`Webhook delivery ${delivery._id} to ${webhook.url} failed (attempt ${delivery.attempts}): ${result.error}`);
+        }
+    }
+
+    if (succeeded > 0 || failed > 0) {
+        console.log(`Webhooks: ${succeeded} delivered, ${failed} failed`);
+    }
+    return succeeded;
+};
+
+module.exports = { processWebhookQueue, getRetryDelay };
@@ -1,5 +1,9 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Setting = require('../models/Setting');
+const { verifyAccessToken } = require('../utils/tokens');
+
+// Endpoints still reachable by admins who must enroll in 2FA first
+const TWO_FACTOR_SETUP_PATHS = ['/api/auth/2fa', '/api/auth/me', '/api/auth/logout'];
 
 const auth = async (req, res, next) => {
     try {
@@ -9,21 +13,52 @@ const auth = async (req, res, next) => {
             return res.status(401).json({ message: 'No auth token provided' });
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'developmentsecret');
+        const decoded = verifyAccessToken(token);
+        
+        // Special-purpose tokens (e.g. pending two-factor login) are not access tokens
+        if (decoded.purpose) {
+            return res.status(401).json({ message: 'Invalid token' });
+        }
+
+        // For critical operations, ensure we're using a valid user ID
+        if (!decoded.userId) {
+            return res.status(401).json({ message: 'Invalid user identifier in token' });
+        }
+
+        // Load role and permissions from the user record so changes apply immediately
+        const user = await User.findById(decoded.userId).select('role permissions tokenVersion twoFactor.enabled');
+        if (!user) {
+            return res.status(401).json({ message: 'User no longer exists' });
+        }
+
+        // Reject tokens issued before a logout-all or a role change
+        if ((decoded.tokenVersion || 0) !== (user.tokenVersion || 0) || decoded.role !== user.role) {
+            return res.status(401).json({ message: 'Token has been revoked' });
+        }
+
+        // Admins without 2FA can only reach the enrollment endpoints when it is required
+        if (user.role === 'admin' && !user.twoFactor?.enabled &&
+            !TWO_FACTOR_SETUP_PATHS.some(path => req.originalUrl.startsWith(path)) &&
+            await Setting.getValue('require2faForAdmins')) {
+            return res.status(403).json({
+                message: 'Two-factor authentication must be enabled for admin accounts',
+                twoFactorSetupRequired: true
+            });
+        }
         
         // We need to set both the userId and _id fields for better compatibility
         req.user = { 
             ...decoded,
-            _id: decoded.userId // Ensure _id is set for compatibility with mongoose
+            _id: decoded.userId, // Ensure _id is set for compatibility with mongoose
+            role: user.role,
+            permissions: user.permissions || []
         };
         
-        // For critical operations, ensure we're using a valid user ID
-        if (!req.user._id) {
-            return res.status(401).json({ message: 'Invalid user identifier in token' });
-        }
-        
         next();
     } catch (err) {
+        if (err.name === 'TokenExpiredError') {
+            return res.status(401).json({ message: 'Token expired' });
+        }
         console.error('Auth middleware error:', err);
         res.status(401).json({ message: 'Invalid token' });
     }
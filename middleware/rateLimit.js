@@ -0,0 +1,41 @@
+// Simple in-memory fixed-window rate limiter keyed by client IP.
+// Counters live in this process only, so each server instance limits independently.
+const rateLimit = ({ windowMs = 15 * 60 * 1000, max = 100, message = 'Too many requests, please try again later' } = {}) => {
+    const hits = new Map();
+
+    // Periodically drop expired windows so the map does not grow forever
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        hits.forEach((entry, key) => {
+            if (entry.resetAt <= now) {
+                hits.delete(key);
+            }
+        });
+    }, windowMs);
+    cleanup.unref();
+
+    return (req, res, next) => {
+        const key = req.ip || req.connection?.remoteAddress || 'unknown';
+        const now = Date.now();
+
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+
+        entry.count += 1;
+
+        res.set('X-RateLimit-Limit', String(max));
+        res.set('X-RateLimit-Remaining', String(Math.max(max - entry.count, 0)));
+
+        if (entry.count > max) {
+            res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+            return res.status(429).json({ message });
+        }
+
+        next();
+    };
+};
+
+module.exports = { rateLimit };
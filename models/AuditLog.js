@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Dotted action name, e.g. "task.update" or "reward.manual_set"
+    action: {
+        type: String,
+        required: true
+    },
+    entityType: {
+        type: String,
+        enum: ['Task', 'Project', 'User', 'Reward', 'RecurringTask', 'ProjectTemplate'],
+        required: true
+    },
+    // For Reward entries this is the user receiving the points
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // Changed fields only: { field: { from, to } }
+    changes: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    metadata: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    ip: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+// Reward entries reference their task through metadata (used by the task activity feed)
+auditLogSchema.index({ 'metadata.task': 1 }, { sparse: true });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
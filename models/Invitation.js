@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const invitationSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    name: {
+        type: String,
+        trim: true
+    },
+    role: {
+        type: String,
+        required: true,
+        default: 'employee'
+    },
+    department: {
+        type: String,
+        enum: ['Design', 'Project Management', 'Sales', 'Administration', 'Other'],
+        required: true
+    },
+    // Projects the new user joins as a team member on acceptance
+    projects: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project'
+    }],
+    // Only the hash of the invite token is stored
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'accepted', 'revoked'],
+        default: 'pending'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    acceptedAt: {
+        type: Date,
+        default: null
+    },
+    acceptedUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+invitationSchema.index({ email: 1, status: 1 });
+
+// Pending invitations that have not yet expired can be accepted
+invitationSchema.methods.isUsable = function() {
+    return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
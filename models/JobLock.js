@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Lease-style lock so scheduled jobs run on only one server instance at a time
+const jobLockSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    owner: {
+        type: String,
+        default: null
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    lastRunAt: {
+        type: Date,
+        default: null
+    }
+});
+
+// Try to take the lock for `ttlMs`; returns true when this owner holds it
+jobLockSchema.statics.acquire = async function(name, owner, ttlMs) {
+    const now = new Date();
+    try {
+        const lock = await this.findOneAndUpdate(
+            {
+                name,
+                $or: [
+                    { lockedUntil: null },
+                    { lockedUntil: { $lte: now } },
+                    { owner }
+                ]
+            },
+            { $set: { owner, lockedUntil: new Date(now.getTime() + ttlMs) } },
+            { upsert: true, new: true }
+        );
+        return !!lock && lock.owner === owner;
+    } catch (error) {
+        // Duplicate key: the lock exists and is held by another instance
+        if (error.code === 11000) {
+            return false;
+        }
+        throw error;
+    }
+};
+
+// Release the lock if this owner still holds it. `holdUntil` keeps other
+// instances from re-running the job before its next scheduled time.
+jobLockSchema.statics.release = async function(name, owner, holdUntil = new Date()) {
+    await this.updateOne(
+        { name, owner },
+        { $set: { lockedUntil: holdUntil, lastRunAt: new Date() } }
+    );
+};
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
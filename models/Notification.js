@@ -1,38 +1,113 @@
 const mongoose = require('mongoose');
 
+const NOTIFICATION_TYPES = [
+    // Task events
+    'task_assigned', 'task_status_change', 'comment', 'extension_request', 'extension_response', 'reward', 'overdue', 'due_reminder', 'blocker_completed',
+    // Project events
+    'project_team_added', 'project_status_change', 'milestone_due',
+    // Account events
+    'account_locked', 'password_changed',
+    // System events
+    'announcement'
+];
+
 const notificationSchema = new mongoose.Schema({
     recipient: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true
     },
+    // What the notification is about; decides which reference is required
+    targetType: {
+        type: String,
+        enum: ['task', 'project', 'account', 'system'],
+        default: 'task'
+    },
     task: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Task',
-        required: true
+        required: function() {
+            return this.targetType === 'task';
+        }
+    },
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+        required: function() {
+            return this.targetType === 'project';
+        }
     },
     type: {
         type: String,
-        enum: ['comment', 'extension_request', 'extension_response', 'reward'],
+        enum: NOTIFICATION_TYPES,
         required: true
     },
+    // Empty for system-generated notifications
     actor: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true
+        default: null
     },
     message: {
         type: String,
         required: true
     },
+    // Extra details for the client (e.g. milestone id, new project status)
+    metadata: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Channels the recipient's preferences allowed when this was created.
+    // Notifications with the in-app channel off are kept only for email delivery.
+    channels: {
+        inApp: {
+            type: Boolean,
+            default: true
+        },
+        email: {
+            type: Boolean,
+            default: true
+        },
+        push: {
+            type: Boolean,
+            default: true
+        }
+    },
     isRead: {
         type: Boolean,
         default: false
     },
+    readAt: {
+        type: Date,
+        default: null
+    },
+    // Read notifications are archived after the notificationArchiveDays setting
+    // and hidden from the default listing
+    archivedAt: {
+        type: Date,
+        default: null
+    },
+    // Set once the notification has been queued for email, alone or in a digest
+    emailedAt: {
+        type: Date,
+        default: null
+    },
     createdAt: {
         type: Date,
         default: Date.now
     }
 });
 
-module.exports = mongoose.model('Notification', notificationSchema); 
\ No newline at end of file
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ isRead: 1, archivedAt: 1, readAt: 1 });
+
+// Filter for the notifications a user sees in the app
+notificationSchema.statics.inAppFilter = function(recipient) {
+    return { recipient, 'channels.inApp': { $ne: false } };
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
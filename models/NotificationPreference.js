@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES } = require('./Notification');
+
+// Delivery channels: the in-app list, email, and live push over the notification stream
+const CHANNELS = ['inApp', 'email', 'push'];
+const EMAIL_MODES = ['immediate', 'daily_digest', 'off'];
+
+// Security notices are always emailed, whatever the user's preferences
+const MANDATORY_EMAIL_TYPES = ['account_locked', 'password_changed'];
+
+const channelSettingsSchema = new mongoose.Schema({
+    inApp: {
+        type: Boolean,
+        default: true
+    },
+    email: {
+        type: Boolean,
+        default: true
+    },
+    push: {
+        type: Boolean,
+        default: true
+    }
+}, { _id: false });
+
+// One document per user. Users without a document get the defaults:
+// every type on every channel, immediate emails, nothing muted.
+const notificationPreferenceSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    // How email-enabled notifications are delivered
+    emailMode: {
+        type: String,
+        enum: EMAIL_MODES,
+        default: 'immediate'
+    },
+    // Per notification type channel switches; missing types use the defaults
+    types: {
+        type: Map,
+        of: channelSettingsSchema,
+        default: {}
+    },
+    // No notifications at all about these projects (including their tasks) or tasks
+    mutedProjects: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project'
+    }],
+    mutedTasks: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task'
+    }],
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+notificationPreferenceSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+// Channels enabled for a notification type, e.g. { inApp: true, email: false, push: true }
+notificationPreferenceSchema.methods.channelsFor = function(type) {
+    const settings = this.types.get(type);
+    const channels = {};
+    CHANNELS.forEach(channel => {
+        channels[channel] = settings ? settings[channel] !== false : true;
+    });
+
+    if (this.emailMode === 'off') {
+        channels.email = false;
+    }
+    if (MANDATORY_EMAIL_TYPES.includes(type)) {
+        channels.email = true;
+    }
+    return channels;
+};
+
+// Update some channels of a type, keeping the stored value of the others
+notificationPreferenceSchema.methods.setChannels = function(type, channels) {
+    const current = this.types.get(type);
+    const settings = {};
+    CHANNELS.forEach(channel => {
+        settings[channel] = channels[channel] !== undefined
+            ? channels[channel]
+            : (current ? current[channel] !== false : true);
+    });
+    this.types.set(type, settings);
+};
+
+// Whether notifications about this task or project are muted
+notificationPreferenceSchema.methods.isMuted = function({ task, project }) {
+    const includes = (list, id) => !!id && list.some(entry => entry.toString() === id.toString());
+    return includes(this.mutedTasks, task) || includes(this.mutedProjects, project);
+};
+
+// Preferences for one user, falling back to an unsaved default document
+notificationPreferenceSchema.statics.getForUser = async function(userId) {
+    return (await this.findOne({ user: userId })) || new this({ user: userId });
+};
+
+// Preferences for many users in one query, as a Map keyed by user id
+notificationPreferenceSchema.statics.getForUsers = async function(userIds) {
+    const preferences = await this.find({ user: { $in: userIds } });
+    const byUser = new Map(preferences.map(preference => [preference.user.toString(), preference]));
+    userIds.forEach(userId => {
+        const key = userId.toString();
+        if (!byUser.has(key)) {
+            byUser.set(key, new this({ user: userId }));
+        }
+    });
+    return byUser;
+};
+
+const NotificationPreference = mongoose.model('NotificationPreference', notificationPreferenceSchema);
+
+module.exports = NotificationPreference;
+module.exports.CHANNELS = CHANNELS;
+module.exports.EMAIL_MODES = EMAIL_MODES;
+module.exports.MANDATORY_EMAIL_TYPES = MANDATORY_EMAIL_TYPES;
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
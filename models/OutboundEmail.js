@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Outbox for notification emails. Messages are queued here and sent by the
+// email delivery job, which retries failed sends with a growing delay.
+const outboundEmailSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // A single notification email or a daily digest
+    kind: {
+        type: String,
+        enum: ['notification', 'digest'],
+        default: 'notification'
+    },
+    notifications: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Notification'
+    }],
+    to: {
+        type: String,
+        required: true
+    },
+    subject: {
+        type: String,
+        required: true
+    },
+    text: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'sent', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    // When the current send started; lets a crashed send be picked up again
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+outboundEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+outboundEmailSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('OutboundEmail', outboundEmailSchema);
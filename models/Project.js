@@ -47,8 +47,13 @@ const projectSchema = new mongoose.Schema(
     documents: [
       {
         name: String,
+        // Download path in this API
         url: String,
-        type: String,
+        // MIME type; declared as an object so Mongoose does not read it as the array's type
+        type: { type: String },
+        size: Number,
+        // Location of the file in the storage backend (see utils/storage.js)
+        storageKey: String,
         uploadedBy: {
           type: mongoose.Schema.Types.ObjectId,
           ref: "User",
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+// A milestone due `offsetDays` after the project's start date
+const templateMilestoneSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    offsetDays: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+});
+
+// A task due `offsetDays` after the project's start date, assigned by role
+const templateTaskSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        required: true
+    },
+    offsetDays: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    priority: {
+        type: String,
+        enum: ['low', 'medium', 'high', 'urgent'],
+        default: 'medium'
+    },
+    // Role name (see models/Role.js) of the team member who gets the task by default;
+    // without one the task goes to the project manager
+    assigneeRole: {
+        type: String,
+        default: null
+    },
+    // Manual reward points; 0 uses the standard on-time reward
+    rewardPoints: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    checklist: [{
+        type: String,
+        trim: true
+    }]
+});
+
+const projectTemplateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        unique: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    // Default length of projects created from the template; without it the
+    // project ends with its last milestone or task
+    durationDays: {
+        type: Number,
+        min: 1,
+        default: null
+    },
+    milestones: [templateMilestoneSchema],
+    tasks: [templateTaskSchema],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+projectTemplateSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+// Calendar days, so offsets keep the time of day across DST changes
+const addDays = (date, days) => {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+};
+
+// Role names the template's tasks are assigned by
+projectTemplateSchema.methods.getAssigneeRoles = function() {
+    return [...new Set(this.tasks.map(task => task.assigneeRole).filter(Boolean))];
+};
+
+// Default end date of a project starting on `startDate`
+projectTemplateSchema.methods.endDateFrom = function(startDate) {
+    const lastOffset = Math.max(0,
+        ...this.milestones.map(milestone => milestone.offsetDays),
+        ...this.tasks.map(task => task.offsetDays));
+    return addDays(startDate, this.durationDays || lastOffset);
+};
+
+// Milestones and tasks with due dates for a project starting on `startDate`
+projectTemplateSchema.methods.scheduleFrom = function(startDate) {
+    return {
+        milestones: this.milestones.map(milestone => ({
+            title: milestone.title,
+            description: milestone.description,
+            dueDate: addDays(startDate, milestone.offsetDays)
+        })),
+        tasks: this.tasks.map(task => ({
+            title: task.title,
+            description: task.description,
+            priority: task.priority,
+            assigneeRole: task.assigneeRole,
+            rewardPoints: task.rewardPoints,
+            checklist: task.checklist,
+            dueDate: addDays(startDate, task.offsetDays)
+        }))
+    };
+};
+
+module.exports = mongoose.model('ProjectTemplate', projectTemplateSchema);
@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const SERIES_STATUSES = ['active', 'paused', 'stopped', 'finished'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const recurrenceSchema = new mongoose.Schema({
+    frequency: {
+        type: String,
+        enum: FREQUENCIES,
+        required: true
+    },
+    // Every `interval` days/weeks/months
+    interval: {
+        type: Number,
+        min: 1,
+        default: 1
+    },
+    // Due date of the first occurrence; weekly series repeat on its weekday,
+    // monthly ones on its day of the month (or the month's last day)
+    startDate: {
+        type: Date,
+        required: true
+    },
+    // The series ends after its last occurrence due on or before endDate...
+    endDate: {
+        type: Date,
+        default: null
+    },
+    // ...or once `count` tasks have been created, whichever comes first
+    count: {
+        type: Number,
+        min: 1,
+        default: null
+    }
+}, { _id: false });
+
+// A task template that creates a new Task for every occurrence of its recurrence rule
+const recurringTaskSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        required: true
+    },
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+        required: true
+    },
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    priority: {
+        type: String,
+        enum: ['low', 'medium', 'high', 'urgent'],
+        default: 'medium'
+    },
+    // Manual reward points for each created task; 0 uses the standard on-time reward
+    rewardPoints: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    recurrence: {
+        type: recurrenceSchema,
+        required: true
+    },
+    // How many days before its due date each task is created
+    leadDays: {
+        type: Number,
+        min: 0,
+        max: 365,
+        default: 7
+    },
+    status: {
+        type: String,
+        enum: SERIES_STATUSES,
+        default: 'active'
+    },
+    // Due date of the next task to create (null once the series is over)
+    nextDueDate: {
+        type: Date,
+        default: null
+    },
+    // When the next task is created: nextDueDate minus leadDays
+    nextRunAt: {
+        type: Date,
+        default: null
+    },
+    occurrencesCreated: {
+        type: Number,
+        default: 0
+    },
+    // Due date of the most recently created task
+    lastDueDate: {
+        type: Date,
+        default: null
+    },
+    lastCreatedAt: {
+        type: Date,
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    // The creation job advances series concurrently; edits of a stale copy fail with a VersionError
+    optimisticConcurrency: true
+});
+
+recurringTaskSchema.index({ status: 1, nextRunAt: 1 });
+recurringTaskSchema.index({ project: 1 });
+
+recurringTaskSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+// `date` moved by `months` calendar months, keeping `day` of the month where it exists
+const addMonths = (date, months, day) => {
+    const result = new Date(date);
+    result.setDate(1);
+    result.setMonth(result.getMonth() + months);
+    const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+    result.setDate(Math.min(day, lastDay));
+    return result;
+};
+
+// Due date of the occurrence following `date`
+recurringTaskSchema.methods.occurrenceAfter = function(date) {
+    const { frequency, interval = 1, startDate } = this.recurrence;
+    const next = new Date(date);
+
+    if (frequency === 'daily') {
+        next.setDate(next.getDate() + interval);
+        return next;
+    }
+    if (frequency === 'weekly') {
+        next.setDate(next.getDate() + 7 * interval);
+        return next;
+    }
+    return addMonths(next, interval, new Date(startDate).getDate());
+};
+
+// Whether an occurrence due on `dueDate` is still part of the series
+recurringTaskSchema.methods.includesOccurrence = function(dueDate) {
+    const { endDate, count } = this.recurrence;
+    if (count && this.occurrencesCreated >= count) {
+        return false;
+    }
+    return !endDate || dueDate <= endDate;
+};
+
+// Point the series at the occurrence due on `dueDate`, or finish it when the rule is exhausted
+recurringTaskSchema.methods.scheduleOccurrence = function(dueDate) {
+    if (dueDate && this.includesOccurrence(dueDate)) {
+        this.nextDueDate = dueDate;
+        this.nextRunAt = new Date(dueDate.getTime() - this.leadDays * DAY_MS);
+        // An edited rule can extend a finished series
+        if (this.status === 'finished') {
+            this.status = 'active';
+        }
+    } else {
+        this.nextDueDate = null;
+        this.nextRunAt = null;
+        if (this.status === 'active' || this.status === 'paused') {
+            this.status = 'finished';
+        }
+    }
+};
+
+// Skip occurrences due before `since` (used when a paused series resumes)
+recurringTaskSchema.methods.skipPastOccurrences = function(since) {
+    let dueDate = this.nextDueDate;
+    while (dueDate && dueDate < since && this.includesOccurrence(dueDate)) {
+        dueDate = this.occurrenceAfter(dueDate);
+    }
+    this.scheduleOccurrence(dueDate);
+};
+
+// Rebuild the schedule from the rule's start after an edit, continuing with the
+// first occurrence due on or after `since` and after the last created task
+recurringTaskSchema.methods.restartSchedule = function(since) {
+    if (this.status === 'stopped') {
+        return;
+    }
+    const after = this.lastDueDate && this.lastDueDate >= since
+        ? new Date(this.lastDueDate.getTime() + 1)
+        : since;
+    this.nextDueDate = new Date(this.recurrence.startDate);
+    this.skipPastOccurrences(after);
+};
+
+const RecurringTask = mongoose.model('RecurringTask', recurringTaskSchema);
+
+module.exports = RecurringTask;
+module.exports.FREQUENCIES = FREQUENCIES;
+module.exports.SERIES_STATUSES = SERIES_STATUSES;
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// One row per reminder sent, so restarts and parallel instances never repeat one.
+// The due date is part of the key: moving a deadline re-arms its reminders.
+const reminderLogSchema = new mongoose.Schema({
+    // Either a task or a project milestone
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        default: null
+    },
+    milestone: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    // Reminder stage, e.g. "48h", "24h" or "day_of"
+    kind: {
+        type: String,
+        required: true
+    },
+    dueDate: {
+        type: Date,
+        required: true
+    },
+    sentAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+reminderLogSchema.index({ task: 1, milestone: 1, kind: 1, dueDate: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReminderLog', reminderLogSchema);
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+// Every permission the API knows how to enforce
+const PERMISSIONS = ['create_project', 'edit_project', 'delete_project', 'view_all_tasks', 'manage_users', 'view_reports'];
+
+// Built-in roles, seeded on startup and used to migrate existing users
+const DEFAULT_ROLES = [
+    {
+        name: 'admin',
+        label: 'Admin',
+        permissions: ['create_project', 'edit_project', 'delete_project', 'view_all_tasks', 'manage_users', 'view_reports']
+    },
+    {
+        name: 'designer',
+        label: 'Designer',
+        permissions: ['create_project', 'edit_project', 'view_all_tasks']
+    },
+    {
+        name: 'project_manager',
+        label: 'Project Manager',
+        permissions: ['create_project', 'edit_project', 'view_all_tasks', 'view_reports']
+    },
+    {
+        name: 'sales_representative',
+        label: 'Sales Representative',
+        permissions: ['view_all_tasks', 'view_reports']
+    },
+    {
+        name: 'employee',
+        label: 'Employee',
+        permissions: []
+    }
+];
+
+const roleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z][a-z0-9_]*$/, 'Role name may only contain lowercase letters, numbers and underscores']
+    },
+    label: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    permissions: [{
+        type: String,
+        enum: PERMISSIONS
+    }],
+    isSystem: {
+        type: Boolean,
+        default: false
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update the updatedAt timestamp before saving
+roleSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Create any missing built-in roles without touching ones that already exist
+roleSchema.statics.ensureDefaults = async function() {
+    for (const role of DEFAULT_ROLES) {
+        await this.updateOne(
+            { name: role.name },
+            { $setOnInsert: { ...role, isSystem: true } },
+            { upsert: true }
+        );
+    }
+};
+
+// Get the permission set for a role name (empty for unknown roles)
+roleSchema.statics.getPermissions = async function(name) {
+    const role = await this.findOne({ name });
+    if (role) {
+        return role.permissions;
+    }
+
+    const fallback = DEFAULT_ROLES.find(defaultRole => defaultRole.name === name);
+    return fallback ? fallback.permissions : [];
+};
+
+// Check that a role name refers to a defined role
+roleSchema.statics.isValidRole = async function(name) {
+    if (!name) {
+        return false;
+    }
+    return !!(await this.exists({ name }));
+};
+
+// express-validator friendly check: throws for unknown roles
+roleSchema.statics.assertValidRole = async function(name) {
+    if (!(await this.isValidRole(name))) {
+        throw new Error('Invalid role');
+    }
+    return true;
+};
+
+// Why `user` may not hand out the role `name`, or null if they may. Only admins
+// grant the admin role, and nobody grants permissions they do not hold themselves.
+roleSchema.statics.getGrantError = async function(user, name) {
+    if (user.role === 'admin') {
+        return null;
+    }
+    if (name === 'admin') {
+        return 'Only admins can grant the admin role';
+    }
+    const own = user.permissions || [];
+    const permissions = await this.getPermissions(name);
+    const missing = permissions.filter(permission => !own.includes(permission));
+    return missing.length > 0
+        ? `You cannot grant a role with permissions you do not hold: ${missing.join(', ')}`
+        : null;
+};
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
+module.exports.PERMISSIONS = PERMISSIONS;
+module.exports.DEFAULT_ROLES = DEFAULT_ROLES;
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Known application settings and their defaults
+const DEFAULT_SETTINGS = {
+    require2faForAdmins: false,
+    // Self sign-up via POST /api/auth/register/public
+    publicRegistrationEnabled: false,
+    // When non-empty, public sign-up is limited to these email domains
+    allowedRegistrationDomains: [],
+    // Hours before the end of the due date at which assignees get reminders
+    dueDateReminderHours: [48, 24],
+    // Also remind on the due date itself
+    dueDateReminderOnDay: true,
+    // Days after being read before a notification is archived
+    notificationArchiveDays: 30,
+    // Days after archival before a notification is deleted (0 keeps them forever)
+    notificationRetentionDays: 180,
+    // How completion points are shared on tasks with several assignees
+    rewardSplitPolicy: 'split'
+};
+
+// Allowed values of settings that take one of a fixed set of strings
+const SETTING_OPTIONS = {
+    rewardSplitPolicy: ['split', 'each', 'primary']
+};
+
+// Settings are read on hot paths (e.g. auth middleware), so cache them briefly
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+const settingSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    value: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Read a setting, falling back to its default
+settingSchema.statics.getValue = async function(key) {
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.value;
+    }
+
+    const setting = await this.findOne({ key });
+    const value = setting ? setting.value : DEFAULT_SETTINGS[key];
+    cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+    return value;
+};
+
+// Write a setting and refresh the cache
+settingSchema.statics.setValue = async function(key, value, userId) {
+    const setting = await this.findOneAndUpdate(
+        { key },
+        { $set: { value, updatedBy: userId, updatedAt: new Date() } },
+        { upsert: true, new: true }
+    );
+    cache.set(key, { value: setting.value, expiresAt: Date.now() + CACHE_TTL_MS });
+    return setting;
+};
+
+// All known settings with stored values applied over the defaults
+settingSchema.statics.getAll = async function() {
+    const stored = await this.find({ key: { $in: Object.keys(DEFAULT_SETTINGS) } });
+    const settings = { ...DEFAULT_SETTINGS };
+    stored.forEach(setting => {
+        settings[setting.key] = setting.value;
+    });
+    return settings;
+};
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+module.exports = Setting;
+module.exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+module.exports.SETTING_OPTIONS = SETTING_OPTIONS;
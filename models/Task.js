@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Setting = require('./Setting');
 
 const taskSchema = new mongoose.Schema({
     title: {
@@ -15,11 +16,22 @@ const taskSchema = new mongoose.Schema({
         ref: 'Project',
         required: true
     },
+    // Primary assignee; always also listed in `assignees`
     assignedTo: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true
     },
+    // Everyone working on the task, primary assignee first
+    assignees: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Users who follow the task's notifications without working on it
+    watchers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
     status: {
         type: String,
         enum: ['pending', 'in_progress', 'completed', 'overdue'],
@@ -34,6 +46,12 @@ const taskSchema = new mongoose.Schema({
         type: Date,
         required: true
     },
+    // When the overdue job flagged the task for its current due date; it flags
+    // each due date once, so a task moved back to in_progress stays there
+    overdueNotifiedAt: {
+        type: Date,
+        default: null
+    },
     completionDate: {
         type: Date,
         default: null
@@ -54,11 +72,66 @@ const taskSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Points each assignee received on completion (see the rewardSplitPolicy setting)
+    rewardShares: [{
+        _id: false,
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        points: Number
+    }],
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true
     },
+    // Set on subtasks: the task of the same project this one is part of
+    parentTask: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        default: null
+    },
+    // Set on tasks created by a recurring series
+    recurringTask: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RecurringTask',
+        default: null
+    },
+    // Steps of the task, kept in display order
+    checklist: [{
+        text: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        done: {
+            type: Boolean,
+            default: false
+        },
+        doneBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        doneAt: {
+            type: Date,
+            default: null
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Tasks of the same project that must be completed before this one can start
+    predecessors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task'
+    }],
     extensionRequest: {
         requested: {
             type: Boolean,
@@ -103,8 +176,13 @@ const taskSchema = new mongoose.Schema({
     }],
     attachments: [{
         name: String,
+        // Download path in this API
         url: String,
-        type: String,
+        // MIME type; declared as an object so Mongoose does not read it as the array's type
+        type: { type: String },
+        size: Number,
+        // Location of the file in the storage backend (see utils/storage.js)
+        storageKey: String,
         uploadedBy: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User'
@@ -124,13 +202,187 @@ const taskSchema = new mongoose.Schema({
     }
 });
 
+taskSchema.index({ assignees: 1 });
+taskSchema.index({ watchers: 1 });
+// Find the tasks waiting on a given task
+taskSchema.index({ predecessors: 1 });
+// List the subtasks of a task
+taskSchema.index({ parentTask: 1 });
+// List the tasks created by a recurring series
+taskSchema.index({ recurringTask: 1, dueDate: 1 });
+
 // Update the updatedAt timestamp before saving
 taskSchema.pre('save', function(next) {
     this.updatedAt = Date.now();
+    // A new due date can become overdue again
+    if (!this.isNew && this.isModified('dueDate')) {
+        this.overdueNotifiedAt = null;
+    }
+    next();
+});
+
+// Keep the primary assignee first in `assignees`, without duplicates
+taskSchema.pre('validate', function(next) {
+    if (!this.assignedTo && this.assignees.length > 0) {
+        this.assignedTo = this.assignees[0];
+    }
+    if (this.assignedTo) {
+        const ids = this.getAssigneeIds();
+        if (ids.join() !== this.assignees.map(id => id.toString()).join()) {
+            this.assignees = ids;
+        }
+    }
     next();
 });
 
-// Method to complete task and handle rewards
+// Problems found by the async hooks below are reported as validation errors on a path
+const validationError = (doc, path, message) => {
+    const error = new mongoose.Error.ValidationError(doc);
+    error.addError(path, new mongoose.Error.ValidatorError({ path, message }));
+    return error;
+};
+
+// Validate predecessors: same project and no dependency cycles
+taskSchema.pre('save', async function() {
+    if (!this.isModified('predecessors') || this.predecessors.length === 0) {
+        return;
+    }
+
+    const Task = this.constructor;
+    const ownId = this._id.toString();
+    const predecessorIds = [...new Set(this.predecessors.map(id => id.toString()))];
+    this.predecessors = predecessorIds;
+
+    if (predecessorIds.includes(ownId)) {
+        throw validationError(this, 'predecessors', 'A task cannot depend on itself');
+    }
+
+    const predecessors = await Task.find({ _id: { $in: predecessorIds } }).select('project');
+    if (predecessors.length !== predecessorIds.length) {
+        throw validationError(this, 'predecessors', 'Predecessor task not found');
+    }
+    if (predecessors.some(predecessor => predecessor.project.toString() !== this.project.toString())) {
+        throw validationError(this, 'predecessors', 'Predecessors must belong to the same project');
+    }
+
+    // Walk up the predecessor chains; reaching this task again means a cycle
+    const visited = new Set();
+    let frontier = predecessorIds;
+    while (frontier.length > 0) {
+        if (frontier.includes(ownId)) {
+            throw validationError(this, 'predecessors', 'Circular task dependency');
+        }
+        frontier.forEach(id => visited.add(id));
+        const tasks = await Task.find({ _id: { $in: frontier } }).select('predecessors');
+        frontier = [...new Set(tasks.flatMap(task => task.predecessors.map(id => id.toString())))]
+            .filter(id => !visited.has(id));
+    }
+});
+
+// Validate the parent: same project and only one level of subtasks
+taskSchema.pre('save', async function() {
+    if (!this.isModified('parentTask') || !this.parentTask) {
+        return;
+    }
+
+    const Task = this.constructor;
+
+    if (this.parentTask.toString() === this._id.toString()) {
+        throw validationError(this, 'parentTask', 'A task cannot be its own parent');
+    }
+
+    const parent = await Task.findById(this.parentTask).select('project parentTask');
+    if (!parent) {
+        throw validationError(this, 'parentTask', 'Parent task not found');
+    }
+    if (parent.project.toString() !== this.project.toString()) {
+        throw validationError(this, 'parentTask', 'Subtasks must belong to the same project as their parent');
+    }
+    if (parent.parentTask) {
+        throw validationError(this, 'parentTask', 'A subtask cannot have subtasks of its own');
+    }
+    if (!this.isNew && await Task.exists({ parentTask: this._id })) {
+        throw validationError(this, 'parentTask', 'A task with subtasks cannot become a subtask');
+    }
+});
+
+// Progress from checklist items and subtasks, each counting as one step.
+// Tasks without either are 0% until completed.
+taskSchema.methods.getProgress = async function() {
+    const checklist = this.checklist || [];
+    const subtasks = await this.constructor.find({ parentTask: this._id }).select('status');
+
+    const checklistDone = checklist.filter(item => item.done).length;
+    const subtasksDone = subtasks.filter(subtask => subtask.status === 'completed').length;
+    const total = checklist.length + subtasks.length;
+
+    let percent;
+    if (total === 0) {
+        percent = this.status === 'completed' ? 100 : 0;
+    } else {
+        percent = Math.round(((checklistDone + subtasksDone) / total) * 100);
+    }
+
+    return {
+        percent,
+        checklist: { done: checklistDone, total: checklist.length },
+        subtasks: { completed: subtasksDone, total: subtasks.length }
+    };
+};
+
+// Ids of all assignees as strings, primary first. Tasks saved before
+// `assignees` existed only have `assignedTo`.
+taskSchema.methods.getAssigneeIds = function() {
+    const idOf = (value) => (value && value._id ? value._id : value);
+    return [...new Set([this.assignedTo, ...(this.assignees || [])]
+        .filter(Boolean)
+        .map(id => idOf(id).toString()))];
+};
+
+// Whether the user is one of the task's assignees
+taskSchema.methods.isAssignee = function(userId) {
+    return this.getAssigneeIds().includes(userId.toString());
+};
+
+// Make `userId` the primary assignee in place of the current one
+taskSchema.methods.replacePrimaryAssignee = function(userId) {
+    const previous = this.assignedTo ? this.assignedTo.toString() : null;
+    this.assignees = this.getAssigneeIds().filter(id => id !== previous && id !== userId.toString());
+    this.assignees.unshift(userId);
+    this.assignedTo = userId;
+};
+
+// Share of `points` for each assignee (primary first) under a rewardSplitPolicy:
+// split - divided equally, the remainder going to the primary assignee
+// each - every assignee gets the full points
+// primary - only the primary assignee gets points
+taskSchema.statics.splitRewardPoints = function(points, assigneeIds, policy) {
+    if (assigneeIds.length === 0) {
+        return [];
+    }
+    if (policy === 'each') {
+        return assigneeIds.map(user => ({ user, points }));
+    }
+    if (policy === 'primary') {
+        return assigneeIds.map((user, index) => ({ user, points: index === 0 ? points : 0 }));
+    }
+    const share = Math.floor(points / assigneeIds.length);
+    const remainder = points - share * assigneeIds.length;
+    return assigneeIds.map((user, index) => ({ user, points: index === 0 ? share + remainder : share }));
+};
+
+// Predecessors that are not completed yet
+taskSchema.methods.getOpenBlockers = function() {
+    if (!this.predecessors || this.predecessors.length === 0) {
+        return Promise.resolve([]);
+    }
+    return this.constructor.find({
+        _id: { $in: this.predecessors },
+        status: { $ne: 'completed' }
+    }).select('title status assignedTo assignees dueDate');
+};
+
+// Method to complete task and handle rewards; returns null if it was already completed
 taskSchema.methods.completeTask = async function() {
     try {
         const now = new Date();
@@ -157,23 +409,46 @@ taskSchema.methods.completeTask = async function() {
             console.log(`Task ${this._id} completed late. No points awarded.`);
         }
         
-        // Save task first
-        await this.save();
+        // Share the points between the assignees according to the configured policy
+        const policy = await Setting.getValue('rewardSplitPolicy');
+        this.rewardShares = this.constructor.splitRewardPoints(this.rewardPoints, this.getAssigneeIds(), policy);
+
+        // Claim the completion with a conditional update first, so a task that is
+        // already completed (or completed concurrently) never grants points twice
+        const claimed = await this.constructor.updateOne(
+            { _id: this._id, status: { $ne: 'completed' } },
+            {
+                $set: {
+                    status: this.status,
+                    completionDate: this.completionDate,
+                    isCompletedOnTime: this.isCompletedOnTime,
+                    rewardPoints: this.rewardPoints,
+                    rewardShares: this.rewardShares,
+                    updatedAt: now
+                }
+            }
+        );
+        if (claimed.modifiedCount === 0) {
+            console.log(`Task ${this._id} was already completed. No points awarded.`);
+            return null;
+        }
         console.log('Task saved successfully');
         
-        // Update user's streak and reward points
+        // Update each assignee's streak and reward points
         const User = mongoose.model('User');
-        const user = await User.findById(this.assignedTo);
-        
-        if (user) {
+        for (const share of this.rewardShares) {
+            const user = await User.findById(share.user);
+            if (!user) {
+                console.error(`User ${share.user} not found for task ${this._id}`);
+                continue;
+            }
+
             console.log(`Updating rewards for user ${user.email}`);
-            if (this.rewardPoints > 0) {
+            if (share.points > 0) {
                 await user.updateStreak(now);
-                await user.addRewardPoints(this.rewardPoints, `Task completion: ${this.title}`);
-                console.log(`Added ${this.rewardPoints} points to user ${user.email}`);
+                await user.addRewardPoints(share.points, `Task completion: ${this.title}`);
+                console.log(`Added ${share.points} points to user ${user.email}`);
             }
-        } else {
-            console.error(`User ${this.assignedTo} not found for task ${this._id}`);
         }
         
         return this;
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
+const totp = require('../utils/totp');
+const Role = require('./Role');
 
 const userSchema = new mongoose.Schema({
     name: {
@@ -20,8 +23,14 @@ const userSchema = new mongoose.Schema({
     },
     role: {
         type: String,
-        enum: ['admin', 'designer', 'project_manager', 'sales_representative', 'employee'],
-        default: 'employee'
+        default: 'employee',
+        trim: true,
+        lowercase: true,
+        // Roles live in the Role collection so admins can define their own
+        validate: {
+            validator: value => Role.isValidRole(value),
+            message: props => `Unknown role: ${props.value}`
+        }
     },
     department: {
         type: String,
@@ -30,8 +39,73 @@ const userSchema = new mongoose.Schema({
     },
     permissions: [{
         type: String,
-        enum: ['create_project', 'edit_project', 'delete_project', 'view_all_tasks', 'manage_users', 'view_reports']
+        enum: Role.PERMISSIONS
     }],
+    // Bumped to invalidate every access token issued before it
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
+    // Hash of the single-use password reset token and its expiry
+    passwordResetTokenHash: {
+        type: String,
+        default: null,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        default: null,
+        select: false
+    },
+    // TOTP two-factor authentication; secrets and backup codes are never selected by default
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        backupCodes: {
+            type: [{
+                codeHash: String,
+                usedAt: {
+                    type: Date,
+                    default: null
+                }
+            }],
+            select: false
+        },
+        // Last accepted time step, so a code cannot be replayed
+        lastUsedStep: {
+            type: Number,
+            default: null,
+            select: false
+        },
+        enabledAt: {
+            type: Date,
+            default: null
+        }
+    },
+    // When the last daily notification digest was queued
+    lastDigestAt: {
+        type: Date,
+        default: null
+    },
+    // Failed login tracking for temporary account lockout
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lockUntil: {
+        type: Date,
+        default: null
+    },
     rewardPoints: {
         type: Number,
         default: 0
@@ -66,6 +140,10 @@ const userSchema = new mongoose.Schema({
     }
 });
 
+// Look up the users who can see every task (task audiences) and users by role
+userSchema.index({ role: 1 });
+userSchema.index({ permissions: 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
     try {
@@ -104,6 +182,138 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
     }
 };
 
+// Method to check if the account is temporarily locked
+userSchema.methods.isLocked = function() {
+    return !!(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Method to record a failed login; returns true when this attempt locks the account.
+// The counter is updated in one atomic pipeline so parallel guesses are all counted.
+userSchema.methods.registerFailedLogin = async function() {
+    const maxAttempts = parseInt(process.env.MAX_LOGIN_ATTEMPTS, 10) || 5;
+    const lockoutMinutes = parseInt(process.env.LOCKOUT_MINUTES, 10) || 15;
+    const now = new Date();
+    const lockUntil = new Date(now.getTime() + lockoutMinutes * 60 * 1000);
+    const hasLock = { $eq: [{ $type: '$lockUntil' }, 'date'] };
+
+    const updated = await this.constructor.findOneAndUpdate(
+        { _id: this._id },
+        [
+            // Start counting again once a previous lock has expired
+            {
+                $set: {
+                    lockExpired: { $and: [hasLock, { $lte: ['$lockUntil', now] }] }
+                }
+            },
+            {
+                $set: {
+                    failedLoginAttempts: {
+                        $cond: ['$lockExpired', 1, { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] }]
+                    },
+                    lockUntil: { $cond: ['$lockExpired', null, { $ifNull: ['$lockUntil', null] }] }
+                }
+            },
+            // Lock once the limit is reached, unless a lock is already running
+            {
+                $set: {
+                    lockUntil: {
+                        $cond: [
+                            { $and: [{ $gte: ['$failedLoginAttempts', maxAttempts] }, { $not: [hasLock] }] },
+                            lockUntil,
+                            '$lockUntil'
+                        ]
+                    }
+                }
+            },
+            { $unset: 'lockExpired' }
+        ],
+        { new: true }
+    ).select('failedLoginAttempts lockUntil');
+
+    if (!updated) {
+        return false;
+    }
+
+    // Mirror the stored values without marking them for a later save
+    this.failedLoginAttempts = updated.failedLoginAttempts;
+    this.lockUntil = updated.lockUntil;
+    this.unmarkModified('failedLoginAttempts');
+    this.unmarkModified('lockUntil');
+
+    const locked = !!updated.lockUntil && updated.lockUntil.getTime() === lockUntil.getTime();
+    if (locked) {
+        console.log(`Account ${this.email} locked until ${lockUntil.toISOString()}`);
+    }
+    return locked;
+};
+
+// Method to clear failed login tracking
+userSchema.methods.resetLoginAttempts = async function() {
+    if (this.failedLoginAttempts === 0 && !this.lockUntil) {
+        return;
+    }
+    this.failedLoginAttempts = 0;
+    this.lockUntil = null;
+    await this.save();
+};
+
+// Method to create a fresh set of backup codes; returns the plaintext codes once
+userSchema.methods.generateBackupCodes = function(count = 10) {
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+        const raw = crypto.randomBytes(4).toString('hex');
+        codes.push(`${raw.slice(0, 4)}-${raw.slice(4)}`);
+    }
+    this.twoFactor.backupCodes = codes.map(code => ({ codeHash: hashBackupCode(code) }));
+    return codes;
+};
+
+// Method to verify a TOTP or backup code against the enabled 2FA secret.
+// Requires +twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep to be selected.
+userSchema.methods.verifySecondFactor = async function(code) {
+    if (!this.twoFactor || !this.twoFactor.enabled || !this.twoFactor.secret) {
+        return false;
+    }
+
+    const step = totp.verifyCode(this.twoFactor.secret, code);
+    if (step !== null) {
+        if (this.twoFactor.lastUsedStep !== null && this.twoFactor.lastUsedStep !== undefined &&
+            step <= this.twoFactor.lastUsedStep) {
+            return false;
+        }
+        this.twoFactor.lastUsedStep = step;
+        await this.save();
+        return true;
+    }
+
+    // Fall back to single-use backup codes
+    const codeHash = hashBackupCode(String(code || '').trim().toLowerCase());
+    const backupCode = (this.twoFactor.backupCodes || []).find(entry => entry.codeHash === codeHash && !entry.usedAt);
+    if (backupCode) {
+        backupCode.usedAt = new Date();
+        await this.save();
+        return true;
+    }
+
+    return false;
+};
+
+// Reset stored permissions that differ from the user's role, e.g. users created
+// before task visibility was scoped, who kept `view_all_tasks` as employees
+userSchema.statics.syncPermissionsWithRoles = async function() {
+    const roles = await Role.find().select('name permissions');
+    let updated = 0;
+    for (const role of roles) {
+        // Update directly to skip the password hashing hook
+        const result = await this.updateMany(
+            { role: role.name, permissions: { $ne: role.permissions } },
+            { $set: { permissions: role.permissions } }
+        );
+        updated += result.modifiedCount;
+    }
+    return updated;
+};
+
 // Method to check if user has specific permission
 userSchema.methods.hasPermission = function(permission) {
     return this.permissions.includes(permission);
@@ -181,4 +391,9 @@ userSchema.methods.updateStreak = async function(taskCompletionDate) {
     }
 };
 
+// Helper function to hash backup codes before storing them
+function hashBackupCode(code) {
+    return crypto.createHash('sha256').update(code).digest('hex');
+}
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
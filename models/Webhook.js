@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Events that can be delivered to webhook subscribers
+const WEBHOOK_EVENTS = [
+    'task.completed',
+    'task.extension_approved',
+    'task.extension_rejected',
+    'project.status_changed'
+];
+
+// An admin-managed subscription: matching events are POSTed to `url`,
+// signed with `secret` (HMAC-SHA256)
+const webhookSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    url: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    events: {
+        type: [{
+            type: String,
+            enum: WEBHOOK_EVENTS
+        }],
+        validate: {
+            validator: events => events.length > 0,
+            message: 'At least one event is required'
+        }
+    },
+    // Signing secret, only returned when the webhook is created or the secret rotated
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+webhookSchema.index({ active: 1, events: 1 });
+
+webhookSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// One delivery of an event to one webhook. Doubles as the retry queue
+// (processed by the webhook delivery job) and the delivery log.
+const webhookDeliverySchema = new mongoose.Schema({
+    webhook: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    // Shared by all deliveries of the same event, so receivers can de-duplicate
+    eventId: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'succeeded', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    // When the current attempt started; lets a crashed attempt be picked up again
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    // Result of the last attempt
+    responseStatus: {
+        type: Number,
+        default: null
+    },
+    responseBody: {
+        type: String,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    durationMs: {
+        type: Number,
+        default: null
+    },
+    deliveredAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,77 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const AuditLog = require('../models/AuditLog');
+const { auth, isAdmin } = require('../middleware/auth');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Query audit logs (Admin only)
+// Supported query params: entityType, entityId, actor, action, from, to, page, limit
+router.get('/', [auth, isAdmin], async (req, res) => {
+    try {
+        const { entityType, entityId, actor, action, from, to } = req.query;
+        const filter = {};
+
+        if (entityType) {
+            filter.entityType = entityType;
+        }
+        if (action) {
+            filter.action = action;
+        }
+
+        for (const [field, value] of [['entityId', entityId], ['actor', actor]]) {
+            if (value) {
+                if (!mongoose.Types.ObjectId.isValid(value)) {
+                    return res.status(400).json({ message: `Invalid ${field}` });
+                }
+                filter[field] = value;
+            }
+        }
+
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) {
+                const fromDate = new Date(from);
+                if (isNaN(fromDate.getTime())) {
+                    return res.status(400).json({ message: 'Invalid from date' });
+                }
+                filter.createdAt.$gte = fromDate;
+            }
+            if (to) {
+                const toDate = new Date(to);
+                if (isNaN(toDate.getTime())) {
+                    return res.status(400).json({ message: 'Invalid to date' });
+                }
+                filter.createdAt.$lte = toDate;
+            }
+        }
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const skip = (page - 1) * limit;
+
+        const [logs, total] = await Promise.all([
+            AuditLog.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('actor', 'name email'),
+            AuditLog.countDocuments(filter)
+        ]);
+
+        const rangeEnd = logs.length > 0 ? skip + logs.length - 1 : skip;
+        res.set('X-Total-Count', String(total));
+        res.set('Content-Range', `audit-logs ${skip}-${rangeEnd}/${total}`);
+        res.set('X-Page', String(page));
+        res.set('X-Per-Page', String(limit));
+
+        res.json(logs);
+    } catch (error) {
+        console.error('Error fetching audit logs:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -1,19 +1,42 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth, isAdmin, hasPermission } = require('../middleware/auth');
+const Role = require('../models/Role');
+const Setting = require('../models/Setting');
+const { auth, hasPermission } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { recordAudit } = require('../utils/audit');
+const { notify } = require('../utils/notifications');
+const { sendMail } = require('../utils/mailer');
+const totp = require('../utils/totp');
+const {
+    signAccessToken,
+    issueTokenPair,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAllSessions,
+    signTwoFactorPendingToken,
+    verifyTwoFactorPendingToken
+} = require('../utils/tokens');
 
-// Register new user (Admin only)
+// Per-IP limit for unauthenticated auth endpoints
+const authLimiter = rateLimit({
+    windowMs: (parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MINUTES, 10) || 15) * 60 * 1000,
+    max: parseInt(process.env.AUTH_RATE_LIMIT_MAX, 10) || 20,
+    message: 'Too many attempts from this IP, please try again later'
+});
+
+// Register new user (requires manage_users)
 router.post('/register', [
     auth,
-    isAdmin,
+    hasPermission('manage_users'),
     body('name').trim().notEmpty().withMessage('Name is required'),
     body('email').isEmail().withMessage('Please enter a valid email'),
     body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
-    body('role').isIn(['admin', 'designer', 'project_manager', 'sales_representative', 'employee']).withMessage('Invalid role'),
+    body('role').custom(value => Role.assertValidRole(value)),
     body('department').isIn(['Design', 'Project Management', 'Sales', 'Administration', 'Other']).withMessage('Invalid department')
 ], async (req, res) => {
     try {
@@ -23,6 +46,12 @@ router.post('/register', [
         }
 
         const { name, email, password, role, department } = req.body;
+
+        const grantError = await Role.getGrantError(req.user, role);
+        if (grantError) {
+            return res.status(403).json({ message: grantError });
+        }
+
         const hashedPassword = await bcrypt.hash(password, 10);
 
         // Check if user already exists
@@ -38,17 +67,14 @@ router.post('/register', [
             password: hashedPassword,
             role,
             department,
-            permissions: getDefaultPermissions(role)
+            permissions: await Role.getPermissions(role)
         });
 
         await user.save();
+        await recordAudit({ req, action: 'user.create', entityType: 'User', entityId: user._id, after: user });
 
         // Create JWT token
-        const token = jwt.sign(
-            { userId: user._id, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        const token = signAccessToken(user);
 
         res.status(201).json({
             user: {
@@ -69,11 +95,12 @@ router.post('/register', [
 
 // Public registration (no authentication required)
 router.post('/register/public', [
+    authLimiter,
     [
         body('name').trim().notEmpty().withMessage('Name is required'),
         body('email').isEmail().withMessage('Please enter a valid email'),
         body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
-        body('department').trim().notEmpty().withMessage('Department is required')
+        body('department').isIn(['Design', 'Project Management', 'Sales', 'Administration', 'Other']).withMessage('Invalid department')
     ]
 ], async (req, res) => {
     try {
@@ -83,6 +110,18 @@ router.post('/register/public', [
         }
 
         const { name, email, password, department } = req.body;
+
+        // Public sign-up can be switched off in favour of invitations
+        if (!(await Setting.getValue('publicRegistrationEnabled'))) {
+            return res.status(403).json({ message: 'Public registration is disabled. Please ask an administrator for an invitation.' });
+        }
+
+        // Optionally restrict sign-up to company email domains
+        const allowedDomains = (await Setting.getValue('allowedRegistrationDomains')) || [];
+        const emailDomain = email.split('@').pop().toLowerCase();
+        if (allowedDomains.length > 0 && !allowedDomains.map(domain => domain.toLowerCase()).includes(emailDomain)) {
+            return res.status(403).json({ message: 'Registration is not allowed for this email domain' });
+        }
         const hashedPassword = await bcrypt.hash(password, 10);
 
         // Check if user already exists
@@ -101,6 +140,14 @@ router.post('/register/public', [
         });
 
         await user.save();
+        await recordAudit({
+            req,
+            actor: user._id,
+            action: 'user.register',
+            entityType: 'User',
+            entityId: user._id,
+            after: user
+        });
 
         res.status(201).json({
             user: {
@@ -119,6 +166,7 @@ router.post('/register/public', [
 
 // Login user
 router.post('/login', [
+    authLimiter,
     body('email').isEmail().withMessage('Please enter a valid email'),
     body('password').exists().withMessage('Password is required')
 ], async (req, res) => {
@@ -141,53 +189,445 @@ router.post('/login', [
         }
 
         console.log('User found:', user.email);
+
+        // Refuse locked accounts before checking the password. The response is the
+        // same as for a wrong password so it does not reveal that the account exists;
+        // the owner learns about the lock from the account_locked notification.
+        if (user.isLocked()) {
+            return res.status(400).json({ message: 'Invalid email or password' });
+        }
         
         // Check password
         const isMatch = await user.comparePassword(password);
         console.log('Password match:', isMatch);
         
         if (!isMatch) {
+            const locked = await user.registerFailedLogin();
+            if (locked) {
+                await notifyAccountLocked(user, req);
+            }
             return res.status(400).json({ message: 'Invalid email or password' });
         }
 
+        await user.resetLoginAttempts();
+
         // Check if user has permissions
         if (!user.permissions || user.permissions.length === 0) {
             console.log('User has no permissions. Adding default permissions.');
             // Assign default permissions based on role
-            user.permissions = getDefaultPermissions(user.role);
+            user.permissions = await Role.getPermissions(user.role);
             await user.save();
         }
 
-        // Create JWT token
-        const token = jwt.sign(
-            { userId: user._id, role: user.role },
-            process.env.JWT_SECRET || 'developmentsecret',
-            { expiresIn: '24h' }
-        );
+        // Accounts with 2FA get a pending token to exchange at /login/2fa
+        if (user.twoFactor && user.twoFactor.enabled) {
+            return res.json({
+                twoFactorRequired: true,
+                pendingToken: signTwoFactorPendingToken(user)
+            });
+        }
+
+        // Create short-lived access token and rotating refresh token
+        const { token, refreshToken } = await issueTokenPair(user, req);
 
         console.log('Login successful:', user.email, 'Role:', user.role);
-        
-        // Determine dashboard route
-        let dashboardRoute = '/tasks';
-        if (user.role === 'admin') {
-            dashboardRoute = '/admin-dashboard';
+
+        res.json(await buildLoginResponse(user, token, refreshToken));
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ message: 'Server error during login. Please try again.' });
+    }
+});
+
+// Second login step: exchange a pending token and a TOTP/backup code for a full token pair
+router.post('/login/2fa', [
+    authLimiter,
+    body('pendingToken').isString().notEmpty().withMessage('Pending token is required'),
+    body('code').isString().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ message: errors.array()[0].msg });
+        }
+
+        let decoded;
+        try {
+            decoded = verifyTwoFactorPendingToken(req.body.pendingToken);
+        } catch (tokenError) {
+            return res.status(401).json({ message: 'Two-factor session expired. Please log in again.' });
+        }
+
+        const user = await User.findById(decoded.userId)
+            .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+        if (!user) {
+            return res.status(401).json({ message: 'Invalid two-factor session' });
+        }
+
+        if (user.isLocked()) {
+            return res.status(400).json({ message: 'Invalid verification code' });
+        }
+
+        const isValid = await user.verifySecondFactor(req.body.code);
+        if (!isValid) {
+            // Wrong codes count towards the same lockout as wrong passwords
+            const locked = await user.registerFailedLogin();
+            if (locked) {
+                await notifyAccountLocked(user, req);
+            }
+            return res.status(400).json({ message: 'Invalid verification code' });
+        }
+
+        await user.resetLoginAttempts();
+
+        const { token, refreshToken } = await issueTokenPair(user, req);
+        console.log('Two-factor login successful:', user.email);
+
+        res.json(await buildLoginResponse(user, token, refreshToken));
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({ message: 'Server error during login. Please try again.' });
+    }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', [
+    authLimiter,
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ message: errors.array()[0].msg });
+        }
+
+        const result = await rotateRefreshToken(req.body.refreshToken, req);
+        if (result.error) {
+            return res.status(401).json({ message: result.error });
         }
 
         res.json({
-            user: {
-                id: user._id,
-                name: user.name,
-                email: user.email,
-                role: user.role,
-                department: user.department,
-                permissions: user.permissions
-            },
+            token: result.token,
+            refreshToken: result.refreshToken
+        });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Logout the current session by revoking its refresh token
+router.post('/logout', [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ message: errors.array()[0].msg });
+        }
+
+        await revokeRefreshToken(req.body.refreshToken);
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Logout every session of the current user
+router.post('/logout-all', auth, async (req, res) => {
+    try {
+        await revokeAllSessions(req.user._id);
+        res.json({ message: 'Logged out of all sessions' });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Start 2FA enrollment: generate a secret and provisioning URI for the authenticator app
+router.post('/2fa/setup', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (user.twoFactor && user.twoFactor.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = totp.generateSecret();
+        user.twoFactor.pendingSecret = secret;
+        await user.save();
+
+        res.json({
+            secret,
+            otpauthUrl: totp.buildProvisioningUri(secret, user.email, process.env.TOTP_ISSUER || 'TaskMan')
+        });
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Confirm enrollment with a code from the app; returns backup codes once
+router.post('/2fa/enable', [
+    auth,
+    body('code').isString().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ message: errors.array()[0].msg });
+        }
+
+        const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+            return res.status(400).json({ message: 'Start two-factor setup first' });
+        }
+
+        const step = totp.verifyCode(user.twoFactor.pendingSecret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({ message: 'Invalid verification code' });
+        }
+
+        user.twoFactor.secret = user.twoFactor.pendingSecret;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.enabled = true;
+        user.twoFactor.enabledAt = new Date();
+        user.twoFactor.lastUsedStep = step;
+        const backupCodes = user.generateBackupCodes();
+        await user.save();
+        await recordAudit({ req, action: 'user.2fa_enable', entityType: 'User', entityId: user._id, metadata: { twoFactorEnabled: true } });
+
+        res.json({
+            message: 'Two-factor authentication enabled',
+            backupCodes
+        });
+    } catch (error) {
+        console.error('2FA enable error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Disable 2FA (requires password and a current code)
+router.post('/2fa/disable', [
+    auth,
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code').isString().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ message: errors.array()[0].msg });
+        }
+
+        const user = await User.findById(req.user._id)
+            .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (!user.twoFactor || !user.twoFactor.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+        }
+
+        if (user.role === 'admin' && await Setting.getValue('require2faForAdmins')) {
+            return res.status(403).json({ message: 'Two-factor authentication is required for admin accounts' });
+        }
+
+        const isMatch = await user.comparePassword(req.body.password);
+        if (!isMatch || !(await user.verifySecondFactor(req.body.code))) {
+            return res.status(400).json({ message: 'Invalid password or verification code' });
+        }
+
+        user.twoFactor.enabled = false;
+        user.twoFactor.secret = undefined;
+        user.twoFactor.backupCodes = [];
+        user.twoFactor.lastUsedStep = null;
+        user.twoFactor.enabledAt = null;
+        await user.save();
+        await recordAudit({ req, action: 'user.2fa_disable', entityType: 'User', entityId: user._id, metadata: { twoFactorEnabled: false } });
+
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Replace backup codes (requires a current code)
+router.post('/2fa/backup-codes', [
+    auth,
+    body('code').isString().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ message: errors.array()[0].msg });
+        }
+
+        const user = await User.findById(req.user._id)
+            .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (!(await user.verifySecondFactor(req.body.code))) {
+            return res.status(400).json({ message: 'Invalid verification code' });
+        }
+
+        const backupCodes = user.generateBackupCodes();
+        await user.save();
+
+        res.json({ backupCodes });
+    } catch (error) {
+        console.error('2FA backup codes error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Request a password reset email
+router.post('/forgot-password', [
+    authLimiter,
+    body('email').isEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ message: errors.array()[0].msg });
+        }
+
+        // Same response whether or not the account exists, to avoid leaking emails
+        const genericResponse = { message: 'If an account exists for this email, a reset link has been sent' };
+
+        const user = await User.findOne({ email: req.body.email.toLowerCase() });
+        if (!user) {
+            return res.json(genericResponse);
+        }
+
+        const resetToken = crypto.randomBytes(32).toString('hex');
+        const ttlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+
+        user.passwordResetTokenHash = hashResetToken(resetToken);
+        user.passwordResetExpires = new Date(Date.now() + ttlMinutes * 60 * 1000);
+        await user.save();
+
+        const appUrl = process.env.APP_URL || 'http://localhost:3000';
+        const resetLink = `${appUrl}/reset-password?token=${resetToken}`;
+
+        // A failed send must not change the response either
+        try {
+            await sendMail({
+                to: user.email,
+                subject: 'Reset your password',
+                text: `Hi ${user.name},\n\nUse the link below to reset your password. It expires in ${ttlMinutes} minutes.\n\n${resetLink}\n\nIf you did not request this, you can ignore this email.`
+            });
+        } catch (error) {
+            console.error(`Error sending password reset email to user ${user._id}:`, error);
+        }
+
+        res.json(genericResponse);
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Reset password with a token from the reset email
+router.post('/reset-password', [
+    authLimiter,
+    body('token').isString().notEmpty().withMessage('Reset token is required'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ message: errors.array()[0].msg });
+        }
+
+        const user = await User.findOne({
+            passwordResetTokenHash: hashResetToken(req.body.token),
+            passwordResetExpires: { $gt: new Date() }
+        });
+        if (!user) {
+            return res.status(400).json({ message: 'Reset token is invalid or has expired' });
+        }
+
+        // Token is single-use
+        user.password = await bcrypt.hash(req.body.password, 10);
+        user.passwordResetTokenHash = null;
+        user.passwordResetExpires = null;
+        await user.save();
+
+        // Sign out everywhere the old password was used
+        await revokeAllSessions(user._id);
+        await recordAudit({ req, actor: user._id, action: 'user.password_reset', entityType: 'User', entityId: user._id, metadata: { passwordChanged: true } });
+        await notify({
+            recipients: user._id,
+            targetType: 'account',
+            type: 'password_changed',
+            message: 'Your password was reset. If this was not you, contact an administrator immediately.'
+        });
+
+        res.json({ message: 'Password has been reset. Please log in with your new password.' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Change password for the current user
+router.put('/change-password', [
+    auth,
+    body('currentPassword').notEmpty().withMessage('Current password is required'),
+    body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters long')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ message: errors.array()[0].msg });
+        }
+
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const isMatch = await user.comparePassword(req.body.currentPassword);
+        if (!isMatch) {
+            return res.status(400).json({ message: 'Current password is incorrect' });
+        }
+
+        user.password = await bcrypt.hash(req.body.newPassword, 10);
+        await user.save();
+        await recordAudit({ req, action: 'user.password_change', entityType: 'User', entityId: user._id, metadata: { passwordChanged: true } });
+        await notify({
+            recipients: user._id,
+            targetType: 'account',
+            type: 'password_changed',
+            actor: user._id,
+            message: 'Your password was changed. If this was not you, contact an administrator immediately.'
+        });
+
+        // Invalidate other sessions and hand this one a fresh token pair
+        await revokeAllSessions(user._id);
+        const refreshedUser = await User.findById(user._id);
+        const { token, refreshToken } = await issueTokenPair(refreshedUser, req);
+
+        res.json({
+            message: 'Password changed successfully',
             token,
-            dashboardRoute
+            refreshToken
         });
     } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ message: 'Server error during login. Please try again.' });
+        console.error('Change password error:', error);
+        res.status(500).json({ message: 'Server error' });
     }
 });
 
@@ -202,20 +642,55 @@ router.get('/me', auth, async (req, res) => {
     }
 });
 
-// Helper function to get default permissions based on role
-function getDefaultPermissions(role) {
-    switch (role) {
-        case 'admin':
-            return ['create_project', 'edit_project', 'delete_project', 'view_all_tasks', 'manage_users', 'view_reports'];
-        case 'designer':
-            return ['create_project', 'edit_project', 'view_all_tasks'];
-        case 'project_manager':
-            return ['create_project', 'edit_project', 'view_all_tasks', 'view_reports'];
-        case 'sales_representative':
-            return ['view_all_tasks', 'view_reports'];
-        default:
-            return ['view_all_tasks'];
+// Helper function to build the response for a completed login
+async function buildLoginResponse(user, token, refreshToken) {
+    // Determine dashboard route
+    let dashboardRoute = '/tasks';
+    if (user.role === 'admin') {
+        dashboardRoute = '/admin-dashboard';
+    }
+
+    const response = {
+        user: {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            department: user.department,
+            permissions: user.permissions
+        },
+        token,
+        refreshToken,
+        dashboardRoute
+    };
+
+    // Let the client send admins straight to 2FA enrollment when it is mandatory
+    if (user.role === 'admin' && !user.twoFactor?.enabled && await Setting.getValue('require2faForAdmins')) {
+        response.twoFactorSetupRequired = true;
     }
+
+    return response;
+}
+
+// Helper function to tell a user their account has been locked
+async function notifyAccountLocked(user, req) {
+    try {
+        await notify({
+            recipients: user._id,
+            targetType: 'account',
+            type: 'account_locked',
+            message: `Your account was locked after several failed login attempts (last attempt from ${req.ip}). It unlocks automatically at ${user.lockUntil.toISOString()}.`,
+            metadata: { lockUntil: user.lockUntil, ip: req.ip }
+        });
+    } catch (error) {
+        // Never fail the login response because the user could not be notified
+        console.error('Error sending account locked notification:', error);
+    }
+}
+
+// Helper function to hash password reset tokens before storing them
+function hashResetToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
 }
 
 module.exports = router;
\ No newline at end of file
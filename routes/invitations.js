@@ -0,0 +1,253 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { body, validationResult } = require('express-validator');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Project = require('../models/Project');
+const { auth, hasPermission } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { sendMail } = require('../utils/mailer');
+const { issueTokenPair } = require('../utils/tokens');
+const { recordAudit } = require('../utils/audit');
+
+// Per-IP limit for the public invite endpoints
+const inviteLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: parseInt(process.env.AUTH_RATE_LIMIT_MAX, 10) || 20,
+    message: 'Too many attempts from this IP, please try again later'
+});
+
+// Get all invitations (requires manage_users)
+router.get('/', [auth, hasPermission('manage_users')], async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.status) {
+            query.status = req.query.status;
+        }
+
+        const invitations = await Invitation.find(query)
+            .populate('invitedBy', 'name email')
+            .populate('projects', 'name')
+            .sort({ createdAt: -1 });
+
+        res.json(invitations);
+    } catch (error) {
+        console.error('Error fetching invitations:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Invite a new user (requires manage_users)
+router.post('/', [
+    auth,
+    hasPermission('manage_users'),
+    [
+        body('email').isEmail().withMessage('Please enter a valid email'),
+        body('name').optional().trim(),
+        body('role').optional().custom(value => Role.assertValidRole(value)),
+        body('department').isIn(['Design', 'Project Management', 'Sales', 'Administration', 'Other']).withMessage('Invalid department'),
+        body('projects').optional().isArray().withMessage('Projects must be an array'),
+        body('projects.*').isMongoId().withMessage('Invalid project id')
+    ]
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const email = req.body.email.toLowerCase();
+        const { name, department } = req.body;
+        const role = req.body.role || 'employee';
+        const projects = req.body.projects || [];
+
+        const grantError = await Role.getGrantError(req.user, role);
+        if (grantError) {
+            return res.status(403).json({ message: grantError });
+        }
+
+        const existingUser = await User.findOne({ email });
+        if (existingUser) {
+            return res.status(400).json({ message: 'User already exists' });
+        }
+
+        if (projects.length > 0) {
+            const projectCount = await Project.countDocuments({ _id: { $in: projects } });
+            if (projectCount !== projects.length) {
+                return res.status(404).json({ message: 'One or more projects not found' });
+            }
+        }
+
+        // Only one open invitation per email; a new invite replaces the old one
+        await Invitation.updateMany({ email, status: 'pending' }, { $set: { status: 'revoked' } });
+
+        const inviteToken = crypto.randomBytes(32).toString('hex');
+        const ttlDays = parseInt(process.env.INVITE_TTL_DAYS, 10) || 7;
+
+        const invitation = new Invitation({
+            email,
+            name,
+            role,
+            department,
+            projects,
+            tokenHash: hashInviteToken(inviteToken),
+            expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+            invitedBy: req.user._id
+        });
+        await invitation.save();
+
+        await sendInvitationEmail(invitation, inviteToken, ttlDays);
+
+        const response = invitation.toObject();
+        delete response.tokenHash;
+        res.status(201).json(response);
+    } catch (error) {
+        console.error('Error creating invitation:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+});
+
+// Revoke a pending invitation (requires manage_users)
+router.delete('/:id', [auth, hasPermission('manage_users')], async (req, res) => {
+    try {
+        const invitation = await Invitation.findById(req.params.id);
+        if (!invitation) {
+            return res.status(404).json({ message: 'Invitation not found' });
+        }
+
+        if (invitation.status !== 'pending') {
+            return res.status(400).json({ message: `Invitation has already been ${invitation.status}` });
+        }
+
+        invitation.status = 'revoked';
+        await invitation.save();
+
+        res.json({ message: 'Invitation revoked' });
+    } catch (error) {
+        console.error('Error revoking invitation:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Look up an invitation by token so the sign-up page can prefill details (public)
+router.get('/token/:token', inviteLimiter, async (req, res) => {
+    try {
+        const invitation = await Invitation.findOne({ tokenHash: hashInviteToken(req.params.token) });
+        if (!invitation || !invitation.isUsable()) {
+            return res.status(404).json({ message: 'Invitation is invalid or has expired' });
+        }
+
+        res.json({
+            email: invitation.email,
+            name: invitation.name,
+            role: invitation.role,
+            department: invitation.department,
+            expiresAt: invitation.expiresAt
+        });
+    } catch (error) {
+        console.error('Error fetching invitation:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Accept an invitation and set a password (public)
+router.post('/accept', [
+    inviteLimiter,
+    body('token').isString().notEmpty().withMessage('Invitation token is required'),
+    body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ message: errors.array()[0].msg });
+        }
+
+        const invitation = await Invitation.findOne({ tokenHash: hashInviteToken(req.body.token) });
+        if (!invitation || !invitation.isUsable()) {
+            return res.status(400).json({ message: 'Invitation is invalid or has expired' });
+        }
+
+        const name = req.body.name || invitation.name;
+        if (!name) {
+            return res.status(400).json({ message: 'Name is required' });
+        }
+
+        const existingUser = await User.findOne({ email: invitation.email });
+        if (existingUser) {
+            return res.status(400).json({ message: 'User already exists' });
+        }
+
+        const user = new User({
+            name,
+            email: invitation.email,
+            password: await bcrypt.hash(req.body.password, 10),
+            role: invitation.role,
+            department: invitation.department,
+            permissions: await Role.getPermissions(invitation.role)
+        });
+        await user.save();
+
+        if (invitation.projects.length > 0) {
+            await Project.updateMany(
+                { _id: { $in: invitation.projects } },
+                { $addToSet: { team: user._id } }
+            );
+        }
+
+        invitation.status = 'accepted';
+        invitation.acceptedAt = new Date();
+        invitation.acceptedUser = user._id;
+        await invitation.save();
+
+        await recordAudit({
+            req,
+            actor: user._id,
+            action: 'user.invite_accept',
+            entityType: 'User',
+            entityId: user._id,
+            after: user,
+            metadata: { invitation: invitation._id, invitedBy: invitation.invitedBy }
+        });
+
+        const { token, refreshToken } = await issueTokenPair(user, req);
+
+        res.status(201).json({
+            user: {
+                id: user._id,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                department: user.department,
+                permissions: user.permissions
+            },
+            token,
+            refreshToken
+        });
+    } catch (error) {
+        console.error('Error accepting invitation:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Helper function to hash invitation tokens before storing them
+function hashInviteToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Helper function to email the invite link
+async function sendInvitationEmail(invitation, inviteToken, ttlDays) {
+    const appUrl = process.env.APP_URL || 'http://localhost:3000';
+    const inviteLink = `${appUrl}/accept-invite?token=${inviteToken}`;
+
+    await sendMail({
+        to: invitation.email,
+        subject: 'You have been invited to TaskMan',
+        text: `Hi${invitation.name ? ` ${invitation.name}` : ''},\n\nYou have been invited to join TaskMan as ${invitation.role} (${invitation.department}). Use the link below to set your password. It expires in ${ttlDays} days.\n\n${inviteLink}`
+    });
+}
+
+module.exports = router;
@@ -1,38 +1,226 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { auth, isAdmin } = require('../middleware/auth');
+const { notify, publishUnreadCount } = require('../utils/notifications');
+const { addClient, writeEvent } = require('../utils/realtime');
 
-// Get all notifications for the current user
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_BULK_DELETE = 500;
+
+// Most missed notifications replayed when a stream reconnects
+const CATCH_UP_LIMIT = 100;
+
+// EventSource cannot send headers, so the stream also accepts ?access_token=
+const tokenFromQuery = (req, res, next) => {
+    if (!req.header('Authorization') && req.query.access_token) {
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+};
+
+// Real-time stream (Server-Sent Events) of new notifications, unread count and task status changes.
+// Reconnecting clients send Last-Event-ID (or ?lastEventId=) to receive what they missed.
+router.get('/stream', tokenFromQuery, auth, async (req, res) => {
+    try {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        // Tell the browser how long to wait before reconnecting
+        res.write('retry: 5000\n\n');
+
+        const removeClient = addClient(req.user._id, res);
+
+        // Close the stream when the access token expires; the client reconnects with a fresh one
+        let expiryTimer = null;
+        if (req.user.exp) {
+            const msUntilExpiry = req.user.exp * 1000 - Date.now();
+            expiryTimer = setTimeout(() => {
+                writeEvent(res, 'token_expired', {});
+                res.end();
+            }, Math.max(msUntilExpiry, 0));
+        }
+
+        req.on('close', () => {
+            clearTimeout(expiryTimer);
+            removeClient();
+        });
+
+        // Replay notifications created since the last one the client saw
+        const lastEventId = req.header('Last-Event-ID') || req.query.lastEventId;
+        if (lastEventId && mongoose.Types.ObjectId.isValid(lastEventId)) {
+            const missed = await Notification.find({
+                recipient: req.user._id,
+                'channels.push': { $ne: false },
+                _id: { $gt: lastEventId }
+            })
+                .sort({ _id: 1 })
+                .limit(CATCH_UP_LIMIT);
+
+            missed.forEach(notification => {
+                writeEvent(res, 'notification', notification.toObject(), notification._id.toString());
+            });
+        }
+
+        const count = await Notification.countDocuments({ ...Notification.inAppFilter(req.user._id), isRead: false });
+        writeEvent(res, 'unread_count', { count });
+    } catch (error) {
+        console.error('Error opening notification stream:', error);
+        if (!res.headersSent) {
+            return res.status(500).json({ message: 'Error opening notification stream' });
+        }
+        res.end();
+    }
+});
+
+// Get the current user's notification preferences, with defaults filled in
+router.get('/preferences', auth, async (req, res) => {
+    try {
+        const preference = await NotificationPreference.getForUser(req.user._id);
+        res.json(formatPreferences(preference));
+    } catch (error) {
+        console.error('Error fetching notification preferences:', error);
+        res.status(500).json({
+            message: 'Error fetching notification preferences',
+            error: error.message
+        });
+    }
+});
+
+// Update the email mode and per-type channel switches of the current user
+router.put('/preferences', auth, async (req, res) => {
+    try {
+        const { emailMode, types } = req.body;
+
+        if (emailMode !== undefined && !NotificationPreference.EMAIL_MODES.includes(emailMode)) {
+            return res.status(400).json({ message: 'Invalid email mode' });
+        }
+        if (types !== undefined && (typeof types !== 'object' || types === null || Array.isArray(types))) {
+            return res.status(400).json({ message: 'Types must be an object keyed by notification type' });
+        }
+
+        const typeUpdates = Object.entries(types || {});
+        for (const [type, channels] of typeUpdates) {
+            if (!NotificationPreference.NOTIFICATION_TYPES.includes(type)) {
+                return res.status(400).json({ message: `Unknown notification type: ${type}` });
+            }
+            if (typeof channels !== 'object' || channels === null ||
+                !Object.entries(channels).every(([channel, enabled]) =>
+                    NotificationPreference.CHANNELS.includes(channel) && typeof enabled === 'boolean')) {
+                return res.status(400).json({ message: `Channels for ${type} must be booleans for ${NotificationPreference.CHANNELS.join(', ')}` });
+            }
+        }
+
+        const preference = await NotificationPreference.getForUser(req.user._id);
+        if (emailMode !== undefined) {
+            preference.emailMode = emailMode;
+        }
+        typeUpdates.forEach(([type, channels]) => {
+            preference.setChannels(type, channels);
+        });
+
+        await preference.save();
+        res.json(formatPreferences(preference));
+    } catch (error) {
+        console.error('Error updating notification preferences:', error);
+        res.status(500).json({
+            message: 'Error updating notification preferences',
+            error: error.message
+        });
+    }
+});
+
+// Mute or unmute all notifications about a task or project
+router.post('/preferences/:action(mute|unmute)', auth, async (req, res) => {
+    try {
+        const { task, project } = req.body;
+        const targetId = task || project;
+        if (!targetId || (task && project) || !mongoose.Types.ObjectId.isValid(targetId)) {
+            return res.status(400).json({ message: 'Provide either a task or a project id' });
+        }
+
+        const Model = task ? Task : Project;
+        if (!(await Model.exists({ _id: targetId }))) {
+            return res.status(404).json({ message: `${task ? 'Task' : 'Project'} not found` });
+        }
+
+        const preference = await NotificationPreference.getForUser(req.user._id);
+        const list = task ? preference.mutedTasks : preference.mutedProjects;
+        const index = list.findIndex(id => id.toString() === targetId.toString());
+
+        if (req.params.action === 'mute' && index === -1) {
+            list.push(targetId);
+        } else if (req.params.action === 'unmute' && index !== -1) {
+            list.splice(index, 1);
+        }
+
+        await preference.save();
+        res.json(formatPreferences(preference));
+    } catch (error) {
+        console.error('Error updating muted notifications:', error);
+        res.status(500).json({
+            message: 'Error updating muted notifications',
+            error: error.message
+        });
+    }
+});
+
+// Get the current user's notifications, newest first
+// Supported query params: unread=true, type (comma separated for multiple),
+// archived=true (archived notifications instead of current ones), page, limit
 router.get('/', auth, async (req, res) => {
     try {
-        const notifications = await Notification.find({ recipient: req.user._id })
-            .sort({ createdAt: -1 })
-            .populate('task', 'title')
-            .populate('recipient', 'name email')
-            .populate('actor', 'name email');
+        const filter = {
+            ...Notification.inAppFilter(req.user._id),
+            archivedAt: req.query.archived === 'true' ? { $ne: null } : null
+        };
 
-        if (!notifications) {
-            return res.status(404).json({ message: 'No notifications found' });
+        if (req.query.unread === 'true') {
+            filter.isRead = false;
         }
 
-        // Format notifications with proper names
-        const formattedNotifications = await Promise.all(notifications.map(async (notification) => {
-            // Ensure we have the actor's name
-            let actorName = 'unknown';
-            if (notification.actor) {
-                const actor = await User.findById(notification.actor._id);
-                actorName = actor ? actor.name : 'unknown';
+        const types = parseListParam(req.query.type);
+        if (types.length > 0) {
+            const unknownType = types.find(type => !Notification.NOTIFICATION_TYPES.includes(type));
+            if (unknownType) {
+                return res.status(400).json({ message: `Unknown notification type: ${unknownType}` });
             }
+            filter.type = { $in: types };
+        }
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const skip = (page - 1) * limit;
 
-            return {
-                ...notification.toObject(),
-                message: notification.message.replace('unknown', actorName)
-            };
-        }));
+        const [notifications, total] = await Promise.all([
+            Notification.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('task', 'title')
+                .populate('project', 'name')
+                .populate('actor', 'name email'),
+            Notification.countDocuments(filter)
+        ]);
 
-        res.json(formattedNotifications);
+        const rangeEnd = notifications.length > 0 ? skip + notifications.length - 1 : skip;
+        res.set('X-Total-Count', String(total));
+        res.set('Content-Range', `notifications ${skip}-${rangeEnd}/${total}`);
+        res.set('X-Page', String(page));
+        res.set('X-Per-Page', String(limit));
+
+        res.json(notifications.map(formatNotification));
     } catch (error) {
         console.error('Error fetching notifications:', error);
         res.status(500).json({ 
@@ -57,23 +245,14 @@ router.patch('/:id/read', auth, async (req, res) => {
             return res.status(403).json({ message: 'Not authorized to mark this notification as read' });
         }
 
-        notification.isRead = true;
-        await notification.save();
-
-        // Get the actor's name
-        let actorName = 'unknown';
-        if (notification.actor) {
-            const actor = await User.findById(notification.actor._id);
-            actorName = actor ? actor.name : 'unknown';
+        if (!notification.isRead) {
+            notification.isRead = true;
+            notification.readAt = new Date();
+            await notification.save();
+            await publishUnreadCount(req.user._id);
         }
 
-        // Format the response with proper name
-        const formattedNotification = {
-            ...notification.toObject(),
-            message: notification.message.replace('unknown', actorName)
-        };
-
-        res.json(formattedNotification);
+        res.json(formatNotification(notification));
     } catch (error) {
         console.error('Error marking notification as read:', error);
         res.status(500).json({ 
@@ -87,14 +266,16 @@ router.patch('/:id/read', auth, async (req, res) => {
 router.patch('/read-all', auth, async (req, res) => {
     try {
         const result = await Notification.updateMany(
-            { recipient: req.user._id, isRead: false },
-            { $set: { isRead: true } }
+            { ...Notification.inAppFilter(req.user._id), isRead: false },
+            { $set: { isRead: true, readAt: new Date() } }
         );
 
         if (result.modifiedCount === 0) {
             return res.status(404).json({ message: 'No unread notifications found' });
         }
 
+        await publishUnreadCount(req.user._id);
+
         res.json({ 
             message: 'All notifications marked as read',
             modifiedCount: result.modifiedCount 
@@ -108,11 +289,111 @@ router.patch('/read-all', auth, async (req, res) => {
     }
 });
 
+// Delete several notifications of the current user: `ids` deletes those
+// notifications, `read: true` deletes every read notification
+router.delete('/', auth, async (req, res) => {
+    try {
+        const { ids, read } = req.body;
+        const filter = { recipient: req.user._id };
+
+        if (Array.isArray(ids) && ids.length > 0) {
+            if (ids.length > MAX_BULK_DELETE || !ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+                return res.status(400).json({ message: `Provide up to ${MAX_BULK_DELETE} valid notification ids` });
+            }
+            filter._id = { $in: ids };
+        } else if (read === true) {
+            filter.isRead = true;
+        } else {
+            return res.status(400).json({ message: 'Provide notification ids or read: true' });
+        }
+
+        const result = await Notification.deleteMany(filter);
+        await publishUnreadCount(req.user._id);
+
+        res.json({
+            message: 'Notifications deleted',
+            deletedCount: result.deletedCount
+        });
+    } catch (error) {
+        console.error('Error deleting notifications:', error);
+        res.status(500).json({
+            message: 'Error deleting notifications',
+            error: error.message
+        });
+    }
+});
+
+// Delete a notification
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: 'Notification not found' });
+        }
+
+        const notification = await Notification.findById(req.params.id);
+        if (!notification) {
+            return res.status(404).json({ message: 'Notification not found' });
+        }
+
+        if (notification.recipient.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: 'Not authorized to delete this notification' });
+        }
+
+        await Notification.deleteOne({ _id: notification._id });
+        if (!notification.isRead) {
+            await publishUnreadCount(req.user._id);
+        }
+
+        res.json({ message: 'Notification deleted' });
+    } catch (error) {
+        console.error('Error deleting notification:', error);
+        res.status(500).json({
+            message: 'Error deleting notification',
+            error: error.message
+        });
+    }
+});
+
+// Send a system announcement to all users, optionally limited to some roles (Admin only)
+router.post('/announcements', auth, isAdmin, async (req, res) => {
+    try {
+        const { message, roles } = req.body;
+        if (!message || typeof message !== 'string' || !message.trim()) {
+            return res.status(400).json({ message: 'Announcement message is required' });
+        }
+        if (roles !== undefined && !Array.isArray(roles)) {
+            return res.status(400).json({ message: 'Roles must be an array' });
+        }
+
+        const query = roles && roles.length > 0 ? { role: { $in: roles } } : {};
+        const users = await User.find(query).select('_id');
+
+        const notifications = await notify({
+            recipients: users.map(user => user._id),
+            targetType: 'system',
+            type: 'announcement',
+            actor: req.user._id,
+            message: message.trim()
+        });
+
+        res.status(201).json({
+            message: 'Announcement sent',
+            recipientCount: notifications.length
+        });
+    } catch (error) {
+        console.error('Error sending announcement:', error);
+        res.status(500).json({ 
+            message: 'Error sending announcement',
+            error: error.message 
+        });
+    }
+});
+
 // Get unread notification count
 router.get('/unread/count', auth, async (req, res) => {
     try {
         const count = await Notification.countDocuments({
-            recipient: req.user._id,
+            ...Notification.inAppFilter(req.user._id),
             isRead: false
         });
 
@@ -126,4 +407,39 @@ router.get('/unread/count', auth, async (req, res) => {
     }
 });
 
-module.exports = router; 
\ No newline at end of file
+// Helper function to fill in the actor's name on messages created without it.
+// The actor is populated with the query, so no per-notification lookups.
+function formatNotification(notification) {
+    const data = notification.toObject();
+    if (data.actor && data.actor.name) {
+        data.message = data.message.replace('unknown', data.actor.name);
+    }
+    return data;
+}
+
+// Helper function to split a comma separated query value into a list
+function parseListParam(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    const values = Array.isArray(value) ? value : String(value).split(',');
+    return values.map(item => String(item).trim()).filter(Boolean);
+}
+
+// Helper function to expand preferences into explicit settings for every type
+function formatPreferences(preference) {
+    const types = {};
+    NotificationPreference.NOTIFICATION_TYPES.forEach(type => {
+        types[type] = preference.channelsFor(type);
+    });
+
+    return {
+        emailMode: preference.emailMode,
+        types,
+        mandatoryEmailTypes: NotificationPreference.MANDATORY_EMAIL_TYPES,
+        mutedProjects: preference.mutedProjects,
+        mutedTasks: preference.mutedTasks
+    };
+}
+
+module.exports = router;
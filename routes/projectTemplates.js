@@ -0,0 +1,347 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const ProjectTemplate = require('../models/ProjectTemplate');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { auth, isAdmin, hasPermission } = require('../middleware/auth');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { notify } = require('../utils/notifications');
+
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Validation for template bodies; `required` is false for partial updates
+const templateValidators = (required) => [
+    required
+        ? body('name').trim().notEmpty().withMessage('Template name is required')
+        : body('name').optional().trim().notEmpty().withMessage('Template name cannot be empty'),
+    body('description').optional().isString().withMessage('Description must be text'),
+    body('durationDays').optional({ nullable: true }).isInt({ min: 1 }).withMessage('durationDays must be a positive whole number'),
+    body('milestones').optional().isArray().withMessage('Milestones must be an array'),
+    body('milestones.*.title').trim().notEmpty().withMessage('Milestone title is required'),
+    body('milestones.*.offsetDays').isInt({ min: 0 }).withMessage('Milestone offsetDays must be a whole number of days from 0'),
+    body('tasks').optional().isArray().withMessage('Tasks must be an array'),
+    body('tasks.*.title').trim().notEmpty().withMessage('Task title is required'),
+    body('tasks.*.description').trim().notEmpty().withMessage('Task description is required'),
+    body('tasks.*.offsetDays').isInt({ min: 0 }).withMessage('Task offsetDays must be a whole number of days from 0'),
+    body('tasks.*.priority').optional().isIn(TASK_PRIORITIES).withMessage('Invalid task priority'),
+    body('tasks.*.assigneeRole').optional({ nullable: true }).isString().withMessage('assigneeRole must be a role name'),
+    body('tasks.*.rewardPoints').optional().isInt({ min: 0 }).withMessage('Task rewardPoints must be a non-negative whole number'),
+    body('tasks.*.checklist').optional().isArray().withMessage('Task checklist must be an array of strings')
+];
+
+// Project templates: milestones and tasks scheduled relative to a project's start date
+
+// Get all project templates
+router.get('/', [auth, hasPermission('create_project')], async (req, res) => {
+    try {
+        const templates = await ProjectTemplate.find()
+            .sort({ name: 1 })
+            .populate('createdBy', 'name');
+        res.json(templates);
+    } catch (error) {
+        console.error('Error fetching project templates:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Get project template by ID
+router.get('/:id', [auth, hasPermission('create_project')], async (req, res) => {
+    try {
+        const template = await ProjectTemplate.findById(req.params.id).populate('createdBy', 'name');
+        if (!template) {
+            return res.status(404).json({ message: 'Project template not found' });
+        }
+
+        res.json(template);
+    } catch (error) {
+        console.error('Error fetching project template:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Create a project template (Admin only)
+router.post('/', [auth, isAdmin, ...templateValidators(true)], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (await ProjectTemplate.exists({ name: req.body.name })) {
+            return res.status(400).json({ message: 'A project template with this name already exists' });
+        }
+
+        const template = new ProjectTemplate({
+            ...pickTemplateFields(req.body),
+            createdBy: req.user._id
+        });
+
+        const unknownRoles = await findUnknownRoles(template.getAssigneeRoles());
+        if (unknownRoles.length > 0) {
+            return res.status(400).json({ message: `Unknown assignee role(s): ${unknownRoles.join(', ')}` });
+        }
+
+        await template.save();
+        await recordAudit({ req, action: 'project_template.create', entityType: 'ProjectTemplate', entityId: template._id, after: template });
+        res.status(201).json(template);
+    } catch (error) {
+        console.error('Error creating project template:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+});
+
+// Update a project template (Admin only). Milestones and tasks are replaced as a whole.
+// Projects already created from the template are not affected.
+router.put('/:id', [auth, isAdmin, ...templateValidators(false)], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const template = await ProjectTemplate.findById(req.params.id);
+        if (!template) {
+            return res.status(404).json({ message: 'Project template not found' });
+        }
+
+        if (req.body.name && req.body.name !== template.name &&
+            await ProjectTemplate.exists({ name: req.body.name })) {
+            return res.status(400).json({ message: 'A project template with this name already exists' });
+        }
+
+        const before = snapshot(template);
+        Object.assign(template, pickTemplateFields(req.body));
+
+        const unknownRoles = await findUnknownRoles(template.getAssigneeRoles());
+        if (unknownRoles.length > 0) {
+            return res.status(400).json({ message: `Unknown assignee role(s): ${unknownRoles.join(', ')}` });
+        }
+
+        await template.save();
+        await recordAudit({ req, action: 'project_template.update', entityType: 'ProjectTemplate', entityId: template._id, before, after: template });
+        res.json(template);
+    } catch (error) {
+        console.error('Error updating project template:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+});
+
+// Delete a project template (Admin only)
+router.delete('/:id', [auth, isAdmin], async (req, res) => {
+    try {
+        const template = await ProjectTemplate.findByIdAndDelete(req.params.id);
+        if (!template) {
+            return res.status(404).json({ message: 'Project template not found' });
+        }
+
+        await recordAudit({ req, action: 'project_template.delete', entityType: 'ProjectTemplate', entityId: template._id, before: template });
+        res.json({ message: 'Project template deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting project template:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Create a project with the template's milestones and tasks.
+// Each task goes to assignees[task.assigneeRole] if given, else to the project manager
+// when they hold that role, else to the first team member with it, else to the project manager.
+router.post('/:id/projects', [
+    auth,
+    hasPermission('create_project'),
+    [
+        body('name').trim().notEmpty().withMessage('Project name is required'),
+        body('description').optional().trim(),
+        body('client.name').trim().notEmpty().withMessage('Client name is required'),
+        body('client.email').isEmail().withMessage('Valid client email is required'),
+        body('startDate').isISO8601().withMessage('Valid start date is required'),
+        body('endDate').optional().isISO8601().withMessage('Valid end date is required'),
+        body('budget').isNumeric().withMessage('Budget must be a number'),
+        body('projectManager').optional().isMongoId().withMessage('Invalid project manager id'),
+        body('team').optional().isArray().withMessage('Team must be an array of user ids'),
+        body('team.*').isMongoId().withMessage('Invalid team member id'),
+        body('assignees').optional().isObject().withMessage('assignees must map role names to user ids'),
+        body('assignees.*').isMongoId().withMessage('Invalid assignee id')
+    ]
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const template = await ProjectTemplate.findById(req.params.id);
+        if (!template) {
+            return res.status(404).json({ message: 'Project template not found' });
+        }
+
+        const startDate = new Date(req.body.startDate);
+        const endDate = req.body.endDate ? new Date(req.body.endDate) : template.endDateFrom(startDate);
+        if (endDate < startDate) {
+            return res.status(400).json({ message: 'End date cannot be before the start date' });
+        }
+
+        // The creator manages the project unless a user manager picks someone else
+        const projectManagerId = String(req.body.projectManager || req.user._id);
+        const canManageUsers = req.user.role === 'admin' || (req.user.permissions || []).includes('manage_users');
+        if (projectManagerId !== req.user._id.toString() && !canManageUsers) {
+            return res.status(403).json({ message: 'Only user managers can make someone else the project manager' });
+        }
+
+        // Explicit assignees join the team
+        const assignees = req.body.assignees || {};
+        const teamIds = [...new Set([...(req.body.team || []), ...Object.values(assignees)].map(String))]
+            .filter(id => id !== projectManagerId);
+
+        const users = await User.find({ _id: { $in: [projectManagerId, ...teamIds] } }).select('name role');
+        const usersById = new Map(users.map(user => [user._id.toString(), user]));
+        const projectManager = usersById.get(projectManagerId);
+        if (!projectManager) {
+            return res.status(404).json({ message: 'Project manager not found' });
+        }
+        const missing = teamIds.filter(id => !usersById.has(id));
+        if (missing.length > 0) {
+            return res.status(404).json({ message: `User(s) not found: ${missing.join(', ')}` });
+        }
+
+        const schedule = template.scheduleFrom(startDate);
+        const team = teamIds.map(id => usersById.get(id));
+        const fallbackRoles = new Set();
+        const resolveAssignee = (role) => {
+            if (!role) {
+                return projectManager._id;
+            }
+            if (assignees[role]) {
+                return assignees[role];
+            }
+            if (projectManager.role === role) {
+                return projectManager._id;
+            }
+            const member = team.find(user => user.role === role);
+            if (member) {
+                return member._id;
+            }
+            fallbackRoles.add(role);
+            return projectManager._id;
+        };
+
+        const project = new Project({
+            name: req.body.name,
+            description: req.body.description || template.description || req.body.name,
+            client: req.body.client,
+            startDate,
+            endDate,
+            budget: req.body.budget,
+            projectManager: projectManager._id,
+            team: teamIds,
+            milestones: schedule.milestones
+        });
+        await project.save();
+
+        let tasks;
+        try {
+            tasks = await Task.insertMany(schedule.tasks.map(task => {
+                const assignee = resolveAssignee(task.assigneeRole);
+                return {
+                    title: task.title,
+                    description: task.description,
+                    project: project._id,
+                    assignedTo: assignee,
+                    assignees: [assignee],
+                    priority: task.priority,
+                    dueDate: task.dueDate,
+                    createdBy: req.user._id,
+                    checklist: task.checklist.map(text => ({ text, createdBy: req.user._id })),
+                    ...(task.rewardPoints > 0 ? {
+                        manualRewardPoints: task.rewardPoints,
+                        hasManualReward: true,
+                        rewardPoints: task.rewardPoints
+                    } : {})
+                };
+            }));
+        } catch (error) {
+            // Don't leave a half-scaffolded project behind
+            await Task.deleteMany({ project: project._id });
+            await Project.deleteOne({ _id: project._id });
+            throw error;
+        }
+
+        await recordAudit({
+            req,
+            action: 'project.create',
+            entityType: 'Project',
+            entityId: project._id,
+            after: project,
+            metadata: { template: template._id }
+        });
+        for (const task of tasks) {
+            await recordAudit({
+                req,
+                action: 'task.create',
+                entityType: 'Task',
+                entityId: task._id,
+                after: task,
+                metadata: { template: template._id }
+            });
+        }
+
+        // One notification per member, with the number of tasks they received
+        for (const memberId of [projectManager._id.toString(), ...teamIds]) {
+            const assigned = tasks.filter(task => task.assignedTo.toString() === memberId).length;
+            await notify({
+                recipients: memberId,
+                exclude: req.user._id,
+                project: project._id,
+                type: 'project_team_added',
+                actor: req.user._id,
+                message: assigned > 0
+                    ? `You have been added to the team of project "${project.name}" with ${assigned} task(s) assigned to you`
+                    : `You have been added to the team of project "${project.name}"`
+            });
+        }
+
+        res.status(201).json({
+            ...project.toObject(),
+            tasks,
+            // Roles no team member holds; their tasks went to the project manager
+            fallbackRoles: [...fallbackRoles]
+        });
+    } catch (error) {
+        console.error('Error creating project from template:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+});
+
+// Helper function to copy the template fields present in a request body
+function pickTemplateFields(source) {
+    const fields = {};
+    ['name', 'description', 'durationDays', 'milestones', 'tasks'].forEach(field => {
+        if (source[field] !== undefined) {
+            fields[field] = source[field];
+        }
+    });
+    return fields;
+}
+
+// Helper function returning the role names that do not exist
+async function findUnknownRoles(roleNames) {
+    if (roleNames.length === 0) {
+        return [];
+    }
+    const roles = await Role.find({ name: { $in: roleNames } }).select('name');
+    const known = new Set(roles.map(role => role.name));
+    return roleNames.filter(name => !known.has(name));
+}
+
+module.exports = router;
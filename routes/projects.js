@@ -2,8 +2,15 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const Project = require('../models/Project');
-const { auth, isAdmin } = require('../middleware/auth');
+const { auth, hasPermission } = require('../middleware/auth');
+const { isProjectManager, isProjectMember, sameId } = require('../utils/projectAccess');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { notify } = require('../utils/notifications');
+const { dispatchWebhookEvent } = require('../utils/webhooks');
+const { receiveUpload, storeFiles, removeStoredFiles, sendStoredFile } = require('../utils/attachments');
 const Task = require('../models/Task');
+const User = require('../models/User');
+const RecurringTask = require('../models/RecurringTask');
 
 // Get all projects
 router.get('/', auth, async (req, res) => {
@@ -32,7 +39,7 @@ router.get('/', auth, async (req, res) => {
 // Create new project
 router.post('/', [
     auth,
-    isAdmin,
+    hasPermission('create_project'),
     [
         body('name').trim().notEmpty().withMessage('Project name is required'),
         body('description').trim().notEmpty().withMessage('Description is required'),
@@ -41,7 +48,10 @@ router.post('/', [
         body('startDate').isISO8601().withMessage('Valid start date is required'),
         body('endDate').isISO8601().withMessage('Valid end date is required'),
         body('budget').isNumeric().withMessage('Budget must be a number'),
-        body('projectManager').notEmpty().withMessage('Project manager is required')
+        body('status').optional().isIn(['planning', 'in-progress', 'review', 'completed', 'on-hold']).withMessage('Invalid status'),
+        body('projectManager').optional().isMongoId().withMessage('Invalid project manager id'),
+        body('team').optional().isArray().withMessage('Team must be an array of user ids'),
+        body('team.*').isMongoId().withMessage('Invalid team member id')
     ]
 ], async (req, res) => {
     try {
@@ -50,8 +60,26 @@ router.post('/', [
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const project = new Project(req.body);
+        // The creator manages the project unless a user manager picks someone else
+        const projectManager = req.body.projectManager || req.user._id.toString();
+        if (!sameId(projectManager, req.user._id) && !canManageUsers(req.user)) {
+            return res.status(403).json({ message: 'Only user managers can make someone else the project manager' });
+        }
+
+        const team = [...new Set((req.body.team || []).map(String))];
+        const people = [...new Set([projectManager.toString(), ...team])];
+        if ((await User.countDocuments({ _id: { $in: people } })) !== people.length) {
+            return res.status(404).json({ message: 'Project manager or team member not found' });
+        }
+
+        // Documents, milestones and statistics have their own routes
+        const project = new Project({
+            ...pickFields(req.body, CREATABLE_PROJECT_FIELDS),
+            projectManager,
+            team
+        });
         await project.save();
+        await recordAudit({ req, action: 'project.create', entityType: 'Project', entityId: project._id, after: project });
         res.status(201).json(project);
     } catch (error) {
         res.status(500).json({ message: 'Server error' });
@@ -83,9 +111,7 @@ router.get('/:id', auth, async (req, res) => {
         }
 
         // Check if user has access to the project
-        if (req.user.role !== 'admin' && 
-            !project.team.some(member => member._id.toString() === req.user._id.toString()) && 
-            project.projectManager._id.toString() !== req.user._id.toString()) {
+        if (!isProjectMember(req.user, project)) {
             return res.status(403).json({ message: 'Access denied' });
         }
 
@@ -119,6 +145,7 @@ router.get('/:id', auth, async (req, res) => {
 // Update project with validation
 router.put('/:id', [
     auth,
+    hasPermission('edit_project'),
     [
         body('name').optional().trim().notEmpty().withMessage('Project name cannot be empty'),
         body('description').optional().trim().notEmpty().withMessage('Description cannot be empty'),
@@ -142,9 +169,7 @@ router.put('/:id', [
         }
 
         // Check if user has permission to update
-        if (req.user.role !== 'admin' && 
-            !project.team.some(member => member._id.toString() === req.user._id.toString()) && 
-            project.projectManager._id.toString() !== req.user._id.toString()) {
+        if (!isProjectMember(req.user, project)) {
             return res.status(403).json({ message: 'Access denied' });
         }
 
@@ -157,6 +182,7 @@ router.put('/:id', [
             return res.status(400).json({ message: 'Invalid updates' });
         }
 
+        const before = snapshot(project);
         updates.forEach(update => {
             if (update === 'client') {
                 project.client = { ...project.client, ...req.body.client };
@@ -166,6 +192,33 @@ router.put('/:id', [
         });
 
         await project.save();
+        await recordAudit({ req, action: 'project.update', entityType: 'Project', entityId: project._id, before, after: project });
+
+        // Let the team know when the project status moves
+        if (before.status !== project.status) {
+            await notify({
+                recipients: [project.projectManager, ...project.team],
+                exclude: req.user._id,
+                project: project._id,
+                type: 'project_status_change',
+                actor: req.user._id,
+                message: `Project "${project.name}" status changed from ${before.status} to ${project.status}`,
+                metadata: { from: before.status, to: project.status }
+            });
+
+            await dispatchWebhookEvent('project.status_changed', {
+                project: {
+                    _id: project._id,
+                    name: project.name,
+                    projectManager: project.projectManager,
+                    startDate: project.startDate,
+                    endDate: project.endDate
+                },
+                from: before.status,
+                to: project.status,
+                changedBy: req.user._id
+            });
+        }
         res.json(project);
     } catch (error) {
         console.error('Error updating project:', error);
@@ -174,19 +227,39 @@ router.put('/:id', [
 });
 
 // Delete project with cleanup
-router.delete('/:id', [auth, isAdmin], async (req, res) => {
+router.delete('/:id', [auth, hasPermission('delete_project')], async (req, res) => {
     try {
         const project = await Project.findById(req.params.id);
         if (!project) {
             return res.status(404).json({ message: 'Project not found' });
         }
 
+        if (!isProjectMember(req.user, project)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
         // Delete all tasks associated with the project
-        await Task.deleteMany({ project: project._id });
+        const taskFiles = await Task.find({ project: project._id }).select('attachments');
+        const deletedTasks = await Task.deleteMany({ project: project._id });
+        await RecurringTask.deleteMany({ project: project._id });
 
         // Delete the project using deleteOne
         await Project.deleteOne({ _id: project._id });
 
+        // Remove stored files of the project and its tasks
+        await removeStoredFiles([
+            ...project.documents,
+            ...taskFiles.flatMap(task => task.attachments)
+        ]);
+        await recordAudit({
+            req,
+            action: 'project.delete',
+            entityType: 'Project',
+            entityId: project._id,
+            before: project,
+            metadata: { deletedTasks: deletedTasks.deletedCount }
+        });
+
         res.json({ 
             message: 'Project and associated tasks deleted successfully',
             deletedProjectId: project._id
@@ -198,7 +271,7 @@ router.delete('/:id', [auth, isAdmin], async (req, res) => {
 });
 
 // Add team member to project
-router.post('/:id/team', [auth, isAdmin], async (req, res) => {
+router.post('/:id/team', [auth, hasPermission('edit_project')], async (req, res) => {
     try {
         const project = await Project.findById(req.params.id);
         const { userId } = req.body;
@@ -207,9 +280,33 @@ router.post('/:id/team', [auth, isAdmin], async (req, res) => {
             return res.status(404).json({ message: 'Project not found' });
         }
 
+        // Only admins and the project manager can change the team
+        if (!isProjectManager(req.user, project)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
         if (!project.team.includes(userId)) {
+            const before = snapshot(project);
             project.team.push(userId);
             await project.save();
+            await recordAudit({
+                req,
+                action: 'project.team_add',
+                entityType: 'Project',
+                entityId: project._id,
+                before,
+                after: project,
+                metadata: { userId }
+            });
+
+            await notify({
+                recipients: userId,
+                exclude: req.user._id,
+                project: project._id,
+                type: 'project_team_added',
+                actor: req.user._id,
+                message: `You have been added to the team of project "${project.name}"`
+            });
         }
 
         res.json(project);
@@ -219,7 +316,7 @@ router.post('/:id/team', [auth, isAdmin], async (req, res) => {
 });
 
 // Remove team member from project
-router.delete('/:id/team/:userId', [auth, isAdmin], async (req, res) => {
+router.delete('/:id/team/:userId', [auth, hasPermission('edit_project')], async (req, res) => {
     try {
         const project = await Project.findById(req.params.id);
 
@@ -227,11 +324,26 @@ router.delete('/:id/team/:userId', [auth, isAdmin], async (req, res) => {
             return res.status(404).json({ message: 'Project not found' });
         }
 
+        // Only admins and the project manager can change the team
+        if (!isProjectManager(req.user, project)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const before = snapshot(project);
         project.team = project.team.filter(
             memberId => memberId.toString() !== req.params.userId
         );
 
         await project.save();
+        await recordAudit({
+            req,
+            action: 'project.team_remove',
+            entityType: 'Project',
+            entityId: project._id,
+            before,
+            after: project,
+            metadata: { userId: req.params.userId }
+        });
         res.json(project);
     } catch (error) {
         res.status(500).json({ message: 'Server error' });
@@ -241,6 +353,7 @@ router.delete('/:id/team/:userId', [auth, isAdmin], async (req, res) => {
 // Add milestone to project
 router.post('/:id/milestones', [
     auth,
+    hasPermission('edit_project'),
     [
         body('title').trim().notEmpty().withMessage('Milestone title is required'),
         body('description').trim().notEmpty().withMessage('Description is required'),
@@ -255,14 +368,14 @@ router.post('/:id/milestones', [
         }
 
         // Check if user has permission to add milestone
-        if (req.user.role !== 'admin' && 
-            !project.team.includes(req.user._id) && 
-            project.projectManager.toString() !== req.user._id.toString()) {
+        if (!isProjectMember(req.user, project)) {
             return res.status(403).json({ message: 'Access denied' });
         }
 
+        const before = snapshot(project);
         project.milestones.push(req.body);
         await project.save();
+        await recordAudit({ req, action: 'project.milestone_add', entityType: 'Project', entityId: project._id, before, after: project });
         res.json(project);
     } catch (error) {
         res.status(500).json({ message: 'Server error' });
@@ -270,7 +383,7 @@ router.post('/:id/milestones', [
 });
 
 // Update milestone status
-router.put('/:id/milestones/:milestoneId', auth, async (req, res) => {
+router.put('/:id/milestones/:milestoneId', auth, hasPermission('edit_project'), async (req, res) => {
     try {
         const project = await Project.findById(req.params.id);
 
@@ -284,22 +397,180 @@ router.put('/:id/milestones/:milestoneId', auth, async (req, res) => {
         }
 
         // Check if user has permission to update milestone
-        if (req.user.role !== 'admin' && 
-            !project.team.includes(req.user._id) && 
-            project.projectManager.toString() !== req.user._id.toString()) {
+        if (!isProjectMember(req.user, project)) {
             return res.status(403).json({ message: 'Access denied' });
         }
 
+        const before = snapshot(project);
         milestone.completed = req.body.completed;
         if (req.body.completed) {
             milestone.completedAt = Date.now();
         }
 
         await project.save();
+        await recordAudit({
+            req,
+            action: 'project.milestone_update',
+            entityType: 'Project',
+            entityId: project._id,
+            before,
+            after: project,
+            metadata: { milestoneId: milestone._id }
+        });
         res.json(project);
     } catch (error) {
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-module.exports = router; 
\ No newline at end of file
+// List a project's documents
+router.get('/:id/documents', auth, async (req, res) => {
+    try {
+        const project = await Project.findById(req.params.id)
+            .select('documents projectManager team')
+            .populate('documents.uploadedBy', 'name');
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+
+        if (!isProjectMember(req.user, project)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        res.json(project.documents);
+    } catch (error) {
+        console.error('Error fetching project documents:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Upload documents (multipart/form-data, field "files"); open to project members
+router.post('/:id/documents', auth, async (req, res) => {
+    try {
+        const project = await Project.findById(req.params.id);
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+
+        if (!isProjectMember(req.user, project)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const upload = await receiveUpload(req, res);
+        if (!upload.files) {
+            return res.status(upload.status).json({ message: upload.message });
+        }
+
+        const stored = await storeFiles(upload.files, `projects/${project._id}`, req.user._id);
+        const added = stored.map(file => {
+            project.documents.push(file);
+            const document = project.documents[project.documents.length - 1];
+            document.url = `/api/projects/${project._id}/documents/${document._id}/download`;
+            return document;
+        });
+
+        try {
+            await project.save();
+        } catch (error) {
+            await removeStoredFiles(stored);
+            throw error;
+        }
+
+        await recordAudit({
+            req,
+            action: 'project.document_add',
+            entityType: 'Project',
+            entityId: project._id,
+            metadata: { files: added.map(document => ({ _id: document._id, name: document.name, size: document.size })) }
+        });
+
+        res.status(201).json(added);
+    } catch (error) {
+        console.error('Error uploading project documents:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+});
+
+// Download a project document
+router.get('/:id/documents/:documentId/download', auth, async (req, res) => {
+    try {
+        const project = await Project.findById(req.params.id).select('documents projectManager team');
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+
+        if (!isProjectMember(req.user, project)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const document = project.documents.id(req.params.documentId);
+        if (!document || !document.storageKey) {
+            return res.status(404).json({ message: 'Document not found' });
+        }
+
+        await sendStoredFile(res, document);
+    } catch (error) {
+        console.error('Error downloading project document:', error);
+        if (!res.headersSent) {
+            res.status(404).json({ message: 'Document file not found' });
+        }
+    }
+});
+
+// Delete a project document (uploader, project manager or admin)
+router.delete('/:id/documents/:documentId', auth, async (req, res) => {
+    try {
+        const project = await Project.findById(req.params.id);
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+
+        const document = project.documents.id(req.params.documentId);
+        if (!document) {
+            return res.status(404).json({ message: 'Document not found' });
+        }
+
+        if (!sameId(document.uploadedBy, req.user._id) && !isProjectManager(req.user, project)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const removed = document.toObject();
+        document.deleteOne();
+        await project.save();
+        await removeStoredFiles([removed]);
+
+        await recordAudit({
+            req,
+            action: 'project.document_remove',
+            entityType: 'Project',
+            entityId: project._id,
+            metadata: { files: [{ _id: removed._id, name: removed.name, size: removed.size }] }
+        });
+
+        res.json({ message: 'Document deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting project document:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Fields POST / copies from the request body
+const CREATABLE_PROJECT_FIELDS = ['name', 'description', 'client', 'startDate', 'endDate', 'budget', 'status'];
+
+// Helper function to copy the listed fields present in a request body
+function pickFields(source, fields) {
+    const picked = {};
+    fields.forEach(field => {
+        if (source[field] !== undefined) {
+            picked[field] = source[field];
+        }
+    });
+    return picked;
+}
+
+// Helper function to check if the user manages users (admin or manage_users)
+function canManageUsers(user) {
+    return user.role === 'admin' || (user.permissions || []).includes('manage_users');
+}
+
+module.exports = router;
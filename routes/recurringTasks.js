@@ -0,0 +1,339 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const RecurringTask = require('../models/RecurringTask');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const { auth, hasPermission } = require('../middleware/auth');
+const { canViewAllTasks } = require('../utils/taskAccess');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { isProjectMember, sameId } = require('../utils/projectAccess');
+
+const SERIES_ACCESS_DENIED = 'You do not have access to this recurring task';
+
+// Fields of the template that PUT /:id may change; they apply to tasks created afterwards.
+// rewardPoints become each task's manual reward, so only admins may set them.
+const EDITABLE_FIELDS = ['title', 'description', 'assignedTo', 'priority', 'rewardPoints', 'leadDays'];
+const ADMIN_ONLY_FIELDS = ['rewardPoints'];
+
+const recurrenceValidators = (required) => {
+    const field = (path) => (required ? body(path) : body(path).optional());
+    return [
+        required
+            ? body('recurrence').isObject().withMessage('recurrence is required')
+            : body('recurrence').optional().isObject().withMessage('recurrence must be an object'),
+        field('recurrence.frequency').isIn(RecurringTask.FREQUENCIES).withMessage(`frequency must be one of: ${RecurringTask.FREQUENCIES.join(', ')}`),
+        body('recurrence.interval').optional().isInt({ min: 1, max: 365 }).withMessage('interval must be a whole number from 1 to 365'),
+        field('recurrence.startDate').isISO8601().withMessage('startDate must be a date'),
+        body('recurrence.endDate').optional({ nullable: true }).isISO8601().withMessage('endDate must be a date'),
+        body('recurrence.count').optional({ nullable: true }).isInt({ min: 1 }).withMessage('count must be a positive whole number')
+    ];
+};
+
+const templateValidators = (required) => {
+    const field = (path) => (required ? body(path) : body(path).optional());
+    return [
+        field('title').trim().notEmpty().withMessage('Title is required'),
+        field('description').trim().notEmpty().withMessage('Description is required'),
+        field('assignedTo').isMongoId().withMessage('assignedTo must be a user id'),
+        body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid priority'),
+        body('rewardPoints').optional().isInt({ min: 0 }).withMessage('rewardPoints must be a non-negative whole number'),
+        body('leadDays').optional().isInt({ min: 0, max: 365 }).withMessage('leadDays must be a whole number from 0 to 365')
+    ];
+};
+
+// Get recurring tasks visible to the user
+// Supported query params: project, status
+router.get('/', auth, async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.project) {
+            if (!mongoose.Types.ObjectId.isValid(req.query.project)) {
+                return res.status(400).json({ message: 'Invalid project id' });
+            }
+            filter.project = req.query.project;
+        }
+        if (req.query.status) {
+            if (!RecurringTask.SERIES_STATUSES.includes(req.query.status)) {
+                return res.status(400).json({ message: `Invalid status value. Must be one of: ${RecurringTask.SERIES_STATUSES.join(', ')}` });
+            }
+            filter.status = req.query.status;
+        }
+
+        // Same visibility as tasks: the assignee and members of the project
+        if (!canViewAllTasks(req.user)) {
+            const projects = await Project.find({
+                $or: [{ team: req.user._id }, { projectManager: req.user._id }]
+            }).select('_id');
+            filter.$or = [
+                { assignedTo: req.user._id },
+                { createdBy: req.user._id },
+                { project: { $in: projects.map(project => project._id) } }
+            ];
+        }
+
+        const series = await RecurringTask.find(filter)
+            .sort({ createdAt: -1 })
+            .populate('project', 'name')
+            .populate('assignedTo', 'name')
+            .populate('createdBy', 'name');
+        res.json(series);
+    } catch (error) {
+        console.error('Error fetching recurring tasks:', error);
+        res.status(500).json({ message: 'Error fetching recurring tasks', error: error.message });
+    }
+});
+
+// Create a recurring task (requires edit_project on the project)
+router.post('/', [
+    auth,
+    hasPermission('edit_project'),
+    body('project').isMongoId().withMessage('project must be a project id'),
+    ...templateValidators(true),
+    ...recurrenceValidators(true)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const project = await Project.findById(req.body.project).select('projectManager team');
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+        if (!isProjectMember(req.user, project)) {
+            return res.status(403).json({ message: 'You can only create recurring tasks in your own projects' });
+        }
+
+        if (!(await User.exists({ _id: req.body.assignedTo }))) {
+            return res.status(404).json({ message: 'Assigned user not found' });
+        }
+
+        const recurrenceError = checkRecurrence(req.body.recurrence);
+        if (recurrenceError) {
+            return res.status(400).json({ message: recurrenceError });
+        }
+
+        const series = new RecurringTask({
+            ...pickTemplateFields(req.body, req.user),
+            project: project._id,
+            recurrence: req.body.recurrence,
+            createdBy: req.user._id
+        });
+        series.restartSchedule(startOfToday());
+        await series.save();
+
+        await recordAudit({ req, action: 'recurring_task.create', entityType: 'RecurringTask', entityId: series._id, after: series });
+        res.status(201).json(series);
+    } catch (error) {
+        console.error('Error creating recurring task:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error creating recurring task', error: error.message });
+    }
+});
+
+// Get a recurring task
+router.get('/:id', auth, async (req, res) => {
+    try {
+        const series = await RecurringTask.findById(req.params.id)
+            .populate('project', 'name')
+            .populate('assignedTo', 'name')
+            .populate('createdBy', 'name');
+        if (!series) {
+            return res.status(404).json({ message: 'Recurring task not found' });
+        }
+
+        if (!(await canViewSeries(req.user, series))) {
+            return res.status(403).json({ message: SERIES_ACCESS_DENIED });
+        }
+
+        res.json(series);
+    } catch (error) {
+        console.error('Error fetching recurring task:', error);
+        res.status(500).json({ message: 'Error fetching recurring task', error: error.message });
+    }
+});
+
+// Get the tasks a recurring task has created, newest first
+router.get('/:id/tasks', auth, async (req, res) => {
+    try {
+        const series = await RecurringTask.findById(req.params.id);
+        if (!series) {
+            return res.status(404).json({ message: 'Recurring task not found' });
+        }
+
+        if (!(await canViewSeries(req.user, series))) {
+            return res.status(403).json({ message: SERIES_ACCESS_DENIED });
+        }
+
+        const tasks = await Task.find({ recurringTask: series._id })
+            .select('title status priority dueDate assignedTo completionDate')
+            .sort({ dueDate: -1 })
+            .populate('assignedTo', 'name');
+        res.json(tasks);
+    } catch (error) {
+        console.error('Error fetching recurring task instances:', error);
+        res.status(500).json({ message: 'Error fetching recurring task instances', error: error.message });
+    }
+});
+
+// Edit a recurring task; changes apply to tasks created from now on
+router.put('/:id', [
+    auth,
+    hasPermission('edit_project'),
+    ...templateValidators(false),
+    ...recurrenceValidators(false)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const series = await RecurringTask.findById(req.params.id);
+        if (!series) {
+            return res.status(404).json({ message: 'Recurring task not found' });
+        }
+
+        if (!(await canManageSeries(req.user, series))) {
+            return res.status(403).json({ message: SERIES_ACCESS_DENIED });
+        }
+        if (series.status === 'stopped') {
+            return res.status(400).json({ message: 'A stopped recurring task cannot be edited' });
+        }
+
+        if (req.body.assignedTo && !(await User.exists({ _id: req.body.assignedTo }))) {
+            return res.status(404).json({ message: 'Assigned user not found' });
+        }
+
+        const before = snapshot(series);
+        Object.assign(series, pickTemplateFields(req.body, req.user));
+
+        if (req.body.recurrence) {
+            // Missing rule fields keep their current values
+            const recurrence = { ...series.recurrence.toObject(), ...req.body.recurrence };
+            const recurrenceError = checkRecurrence(recurrence);
+            if (recurrenceError) {
+                return res.status(400).json({ message: recurrenceError });
+            }
+            series.recurrence = recurrence;
+        }
+        if (req.body.recurrence || req.body.leadDays !== undefined) {
+            series.restartSchedule(startOfToday());
+        }
+
+        await series.save();
+        await recordAudit({ req, action: 'recurring_task.update', entityType: 'RecurringTask', entityId: series._id, before, after: series });
+        res.json(series);
+    } catch (error) {
+        console.error('Error updating recurring task:', error);
+        if (error.name === 'VersionError') {
+            return res.status(409).json({ message: 'The recurring task was changed in the meantime, please try again' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error updating recurring task', error: error.message });
+    }
+});
+
+// Pause, resume or stop a recurring task. Stopping is final; tasks already created are kept.
+router.post('/:id/:action(pause|resume|stop)', auth, hasPermission('edit_project'), async (req, res) => {
+    try {
+        const { action } = req.params;
+        const series = await RecurringTask.findById(req.params.id);
+        if (!series) {
+            return res.status(404).json({ message: 'Recurring task not found' });
+        }
+
+        if (!(await canManageSeries(req.user, series))) {
+            return res.status(403).json({ message: SERIES_ACCESS_DENIED });
+        }
+
+        const allowedFrom = {
+            pause: ['active'],
+            resume: ['paused'],
+            stop: ['active', 'paused', 'finished']
+        };
+        if (!allowedFrom[action].includes(series.status)) {
+            return res.status(400).json({ message: `Cannot ${action} a recurring task that is ${series.status}` });
+        }
+
+        const before = snapshot(series);
+        if (action === 'pause') {
+            series.status = 'paused';
+        } else if (action === 'resume') {
+            // Occurrences that fell due while paused are skipped, not created late
+            series.status = 'active';
+            series.skipPastOccurrences(startOfToday());
+        } else {
+            series.status = 'stopped';
+            series.nextDueDate = null;
+            series.nextRunAt = null;
+        }
+
+        await series.save();
+        await recordAudit({ req, action: `recurring_task.${action}`, entityType: 'RecurringTask', entityId: series._id, before, after: series });
+        res.json(series);
+    } catch (error) {
+        console.error('Error updating recurring task status:', error);
+        if (error.name === 'VersionError') {
+            return res.status(409).json({ message: 'The recurring task was changed in the meantime, please try again' });
+        }
+        res.status(500).json({ message: 'Error updating recurring task status', error: error.message });
+    }
+});
+
+// Helper function to copy the template fields present in a request body that `user` may set
+function pickTemplateFields(source, user) {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+        if (ADMIN_ONLY_FIELDS.includes(field) && user.role !== 'admin') {
+            return;
+        }
+        if (source[field] !== undefined) {
+            fields[field] = source[field];
+        }
+    });
+    return fields;
+}
+
+// Helper function to check the parts of a recurrence rule that depend on each other
+function checkRecurrence(recurrence) {
+    if (recurrence.endDate && new Date(recurrence.endDate) < new Date(recurrence.startDate)) {
+        return 'endDate cannot be before startDate';
+    }
+    return null;
+}
+
+// Helper function returning the start of the current day
+function startOfToday() {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return today;
+}
+
+// Helper function to check if the user may see a recurring task
+async function canViewSeries(user, series) {
+    if (canViewAllTasks(user) || sameId(series.assignedTo, user._id) || sameId(series.createdBy, user._id)) {
+        return true;
+    }
+    const project = await Project.findById(series.project._id || series.project).select('projectManager team');
+    return !!project && isProjectMember(user, project);
+}
+
+// Helper function to check if the user may edit, pause or stop a recurring task
+async function canManageSeries(user, series) {
+    if (user.role === 'admin') {
+        return true;
+    }
+    const project = await Project.findById(series.project).select('projectManager team');
+    return !!project && isProjectMember(user, project);
+}
+
+module.exports = router;
@@ -0,0 +1,152 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { auth, isAdmin } = require('../middleware/auth');
+
+// Get all roles
+router.get('/', auth, async (req, res) => {
+    try {
+        const roles = await Role.find().sort({ isSystem: -1, name: 1 });
+        res.json(roles);
+    } catch (error) {
+        console.error('Error fetching roles:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Get list of assignable permissions
+router.get('/permissions', auth, (req, res) => {
+    res.json(Role.PERMISSIONS);
+});
+
+// Get role by ID
+router.get('/:id', auth, async (req, res) => {
+    try {
+        const role = await Role.findById(req.params.id);
+        if (!role) {
+            return res.status(404).json({ message: 'Role not found' });
+        }
+
+        res.json(role);
+    } catch (error) {
+        console.error('Error fetching role:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Create new role (Admin only)
+router.post('/', [
+    auth,
+    isAdmin,
+    [
+        body('name').trim().matches(/^[a-z][a-z0-9_]*$/).withMessage('Role name may only contain lowercase letters, numbers and underscores'),
+        body('label').trim().notEmpty().withMessage('Label is required'),
+        body('description').optional().trim(),
+        body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+        body('permissions.*').isIn(Role.PERMISSIONS).withMessage('Invalid permission')
+    ]
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { name, label, description, permissions } = req.body;
+
+        const existingRole = await Role.findOne({ name });
+        if (existingRole) {
+            return res.status(400).json({ message: 'Role already exists' });
+        }
+
+        const role = new Role({
+            name,
+            label,
+            description,
+            permissions: permissions || []
+        });
+
+        await role.save();
+        res.status(201).json(role);
+    } catch (error) {
+        console.error('Error creating role:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+});
+
+// Update role label, description or permissions (Admin only)
+router.put('/:id', [
+    auth,
+    isAdmin,
+    [
+        body('label').optional().trim().notEmpty().withMessage('Label cannot be empty'),
+        body('description').optional().trim(),
+        body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+        body('permissions.*').isIn(Role.PERMISSIONS).withMessage('Invalid permission')
+    ]
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const role = await Role.findById(req.params.id);
+        if (!role) {
+            return res.status(404).json({ message: 'Role not found' });
+        }
+
+        // Role names are referenced by users, so they cannot be renamed
+        const updates = Object.keys(req.body);
+        const allowedUpdates = ['label', 'description', 'permissions'];
+        const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+        if (!isValidOperation) {
+            return res.status(400).json({ message: 'Invalid updates' });
+        }
+
+        updates.forEach(update => role[update] = req.body[update]);
+        await role.save();
+
+        // Keep the permissions of users holding this role in sync
+        if (updates.includes('permissions')) {
+            await User.updateMany({ role: role.name }, { $set: { permissions: role.permissions } });
+        }
+
+        res.json(role);
+    } catch (error) {
+        console.error('Error updating role:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+});
+
+// Delete role (Admin only)
+router.delete('/:id', [auth, isAdmin], async (req, res) => {
+    try {
+        const role = await Role.findById(req.params.id);
+        if (!role) {
+            return res.status(404).json({ message: 'Role not found' });
+        }
+
+        if (role.isSystem) {
+            return res.status(400).json({ message: 'Built-in roles cannot be deleted' });
+        }
+
+        const assignedUsers = await User.countDocuments({ role: role.name });
+        if (assignedUsers > 0) {
+            return res.status(400).json({
+                message: `Role is assigned to ${assignedUsers} user(s). Reassign them before deleting the role.`
+            });
+        }
+
+        await Role.deleteOne({ _id: role._id });
+        res.json({ message: 'Role deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting role:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const Setting = require('../models/Setting');
+const { auth, isAdmin } = require('../middleware/auth');
+
+// Get all application settings (Admin only)
+router.get('/', [auth, isAdmin], async (req, res) => {
+    try {
+        const settings = await Setting.getAll();
+        res.json(settings);
+    } catch (error) {
+        console.error('Error fetching settings:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Update a single setting (Admin only)
+router.put('/:key', [auth, isAdmin], async (req, res) => {
+    try {
+        const { key } = req.params;
+        const { value } = req.body;
+
+        if (!Object.prototype.hasOwnProperty.call(Setting.DEFAULT_SETTINGS, key)) {
+            return res.status(404).json({ message: 'Unknown setting' });
+        }
+
+        // Values must keep the type of the default
+        const expectedType = Array.isArray(Setting.DEFAULT_SETTINGS[key]) ? 'array' : typeof Setting.DEFAULT_SETTINGS[key];
+        const actualType = Array.isArray(value) ? 'array' : typeof value;
+        if (expectedType !== actualType) {
+            return res.status(400).json({ message: `Setting ${key} must be of type ${expectedType}` });
+        }
+
+        const options = Setting.SETTING_OPTIONS[key];
+        if (options && !options.includes(value)) {
+            return res.status(400).json({ message: `Setting ${key} must be one of: ${options.join(', ')}` });
+        }
+
+        await Setting.setValue(key, value, req.user._id);
+        res.json({ key, value });
+    } catch (error) {
+        console.error('Error updating setting:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
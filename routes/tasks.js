@@ -1,18 +1,35 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Task = require('../models/Task');
 const Project = require('../models/Project');
 const User = require('../models/User');
-const { auth, isAdmin } = require('../middleware/auth');
-const Notification = require('../models/Notification');
+const Setting = require('../models/Setting');
+const AuditLog = require('../models/AuditLog');
+const { auth, isAdmin, hasPermission } = require('../middleware/auth');
+const { notify } = require('../utils/notifications');
+const { getTaskScopeFilter, canViewTask, getTaskAudience, TASK_ACCESS_DENIED } = require('../utils/taskAccess');
+const { publishToUsers } = require('../utils/realtime');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { getTaskActivity } = require('../utils/taskActivity');
+const { dispatchWebhookEvent } = require('../utils/webhooks');
+const { receiveUpload, storeFiles, removeStoredFiles, sendStoredFile } = require('../utils/attachments');
+const { isProjectMember, isProjectManager, sameId } = require('../utils/projectAccess');
+const { getOverdueCutoff } = require('../jobs/overdueTasks');
 
-// Create a new task (Admin only)
-router.post('/', auth, isAdmin, async (req, res) => {
+// Create a new task (requires edit_project on the task's project)
+router.post('/', auth, hasPermission('edit_project'), async (req, res) => {
     try {
         console.log('Creating task with body:', req.body);
         console.log('Current user from middleware:', req.user);
         
-        const { title, description, project, assignedTo, priority, dueDate, status, createdBy, rewardPoints } = req.body;
+        const { title, description, project, priority, dueDate, status, createdBy, predecessors, parentTask } = req.body;
+        // Only admins can attach reward points (see PATCH /:id/manual-reward)
+        const rewardPoints = req.user.role === 'admin' ? req.body.rewardPoints : undefined;
+        // `assignees` may list several users; the first (or `assignedTo`) is the primary assignee
+        const assignees = Array.isArray(req.body.assignees) ? req.body.assignees : [];
+        const assignedTo = req.body.assignedTo || assignees[0];
+        const watchers = Array.isArray(req.body.watchers) ? req.body.watchers : [];
 
         // Validate project exists
         const projectExists = await Project.findById(project);
@@ -20,12 +37,15 @@ router.post('/', auth, isAdmin, async (req, res) => {
             return res.status(404).json({ message: 'Project not found' });
         }
 
-        // Validate assigned user exists if provided
-        if (assignedTo) {
-            const userExists = await User.findById(assignedTo);
-            if (!userExists) {
-                return res.status(404).json({ message: 'Assigned user not found' });
-            }
+        if (!isProjectMember(req.user, projectExists)) {
+            return res.status(403).json({ message: 'You can only create tasks in your own projects' });
+        }
+
+        // Validate assigned users and watchers exist if provided
+        const peopleIds = [...new Set([assignedTo, ...assignees, ...watchers].filter(Boolean).map(String))];
+        if (peopleIds.some(id => !mongoose.Types.ObjectId.isValid(id)) ||
+            (await User.countDocuments({ _id: { $in: peopleIds } })) !== peopleIds.length) {
+            return res.status(404).json({ message: 'Assigned user or watcher not found' });
         }
 
         // Determine the creator ID - priority to token user if no createdBy provided
@@ -58,10 +78,14 @@ router.post('/', auth, isAdmin, async (req, res) => {
             description,
             project,
             assignedTo,
+            assignees,
+            watchers,
             priority,
             dueDate,
             createdBy: taskCreator,
             status: status || 'pending',
+            predecessors: Array.isArray(predecessors) ? predecessors : [],
+            parentTask: parentTask || null,
             ...(typeof rewardPoints === 'number' && rewardPoints > 0 ? {
                 manualRewardPoints: rewardPoints,
                 hasManualReward: true,
@@ -73,13 +97,39 @@ router.post('/', auth, isAdmin, async (req, res) => {
         
         const savedTask = await task.save();
         console.log('Task created successfully:', savedTask._id);
-        // If rewardPoints is provided and assignedTo exists, add points to user immediately
-        if (typeof rewardPoints === 'number' && rewardPoints > 0 && assignedTo) {
-            const user = await User.findById(assignedTo);
-            if (user) {
-                await user.addRewardPoints(rewardPoints, `Manual reward for task assignment: ${title}`);
+        await recordAudit({ req, action: 'task.create', entityType: 'Task', entityId: savedTask._id, after: savedTask });
+
+        // If rewardPoints is provided, add points to the assignees immediately, shared per rewardSplitPolicy
+        if (typeof rewardPoints === 'number' && rewardPoints > 0) {
+            const policy = await Setting.getValue('rewardSplitPolicy');
+            const shares = Task.splitRewardPoints(rewardPoints, savedTask.getAssigneeIds(), policy);
+            for (const share of shares.filter(entry => entry.points > 0)) {
+                const user = await User.findById(share.user);
+                if (!user) {
+                    continue;
+                }
+                const pointsBefore = user.rewardPoints;
+                await user.addRewardPoints(share.points, `Manual reward for task assignment: ${title}`);
+                await recordAudit({
+                    req,
+                    action: 'reward.grant',
+                    entityType: 'Reward',
+                    entityId: user._id,
+                    before: { rewardPoints: pointsBefore },
+                    after: { rewardPoints: user.rewardPoints },
+                    metadata: { task: savedTask._id, points: share.points, reason: 'task_assignment', policy }
+                });
             }
         }
+
+        await notify({
+            recipients: savedTask.getAssigneeIds(),
+            exclude: req.user._id,
+            task: savedTask._id,
+            type: 'task_assigned',
+            actor: req.user._id,
+            message: `You have been assigned to task "${savedTask.title}"`
+        });
         res.status(201).json(savedTask);
     } catch (error) {
         console.error('Error creating task:', error);
@@ -104,13 +154,49 @@ router.post('/', auth, isAdmin, async (req, res) => {
     }
 });
 
-// Get all tasks
+// Get all tasks with filtering, sorting and pagination
+// Supported query params: status, priority, project, assignedTo (comma separated for multiple),
+// dueFrom, dueTo, search, sort (e.g. "-dueDate,priority"), page, limit
 router.get('/', auth, async (req, res) => {
     try {
-        const tasks = await Task.find()
-            .populate('project', 'name')
-            .populate('assignedTo', 'name')
-            .populate('createdBy', 'name');
+        let filter;
+        try {
+            filter = buildTaskFilter(req.query);
+        } catch (validationError) {
+            return res.status(400).json({ message: validationError.message });
+        }
+
+        // Restrict results to tasks the user is allowed to see
+        const scope = await getTaskScopeFilter(req.user);
+        if (Object.keys(scope).length > 0) {
+            filter = { $and: [filter, scope] };
+        }
+
+        const sort = parseTaskSort(req.query.sort);
+
+        // Only paginate when asked to, so clients expecting the full list still get it
+        const paginate = req.query.page !== undefined || req.query.limit !== undefined;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = paginate
+            ? Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+            : null;
+        const skip = paginate ? (page - 1) * limit : 0;
+
+        const [tasks, total] = await Promise.all([
+            findTaskPage(filter, sort, skip, limit),
+            paginate ? Task.countDocuments(filter) : null
+        ]);
+
+        // Expose totals in headers so the response body stays a plain array
+        const count = paginate ? total : tasks.length;
+        const rangeEnd = tasks.length > 0 ? skip + tasks.length - 1 : skip;
+        res.set('X-Total-Count', String(count));
+        res.set('Content-Range', `tasks ${skip}-${rangeEnd}/${count}`);
+        if (paginate) {
+            res.set('X-Page', String(page));
+            res.set('X-Per-Page', String(limit));
+        }
+
         res.json(tasks);
     } catch (error) {
         res.status(500).json({ message: error.message });
@@ -122,9 +208,10 @@ router.get('/assigned-to-me', auth, async (req, res) => {
     try {
         console.log('Getting tasks for user ID:', req.user._id);
         
-        const tasks = await Task.find({ assignedTo: req.user._id })
+        const tasks = await Task.find({ assignees: req.user._id })
             .populate('project', 'name')
             .populate('assignedTo', 'name')
+            .populate('assignees', 'name')
             .populate('createdBy', 'name');
         
         console.log(`Found ${tasks.length} tasks assigned to user ${req.user._id}`);
@@ -141,50 +228,128 @@ router.get('/:id', auth, async (req, res) => {
         const task = await Task.findById(req.params.id)
             .populate('project', 'name')
             .populate('assignedTo', 'name')
+            .populate('assignees', 'name')
+            .populate('watchers', 'name')
             .populate('createdBy', 'name')
             .populate('comments.postedBy', 'name');
         
         if (!task) {
             return res.status(404).json({ message: 'Task not found' });
         }
+
+        if (!(await canViewTask(req.user, task))) {
+            return res.status(403).json({ message: TASK_ACCESS_DENIED });
+        }
         
-        res.json(task);
+        res.json({ ...task.toJSON(), progress: await task.getProgress() });
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 });
 
-// Update task (Admin only)
-router.put('/:id', auth, isAdmin, async (req, res) => {
+// Update task (requires edit_project on the task's project)
+router.put('/:id', auth, hasPermission('edit_project'), async (req, res) => {
     try {
         const task = await Task.findById(req.params.id);
         if (!task) {
             return res.status(404).json({ message: 'Task not found' });
         }
 
-        const updates = Object.keys(req.body);
+        if (!(await canEditTasksIn(req.user, task.project))) {
+            return res.status(403).json({ message: TASK_ACCESS_DENIED });
+        }
+
+        // Moving a task requires the same rights on the target project
+        if (req.body.project && req.body.project.toString() !== task.project.toString() &&
+            !(await canEditTasksIn(req.user, req.body.project))) {
+            return res.status(403).json({ message: TASK_ACCESS_DENIED });
+        }
+
+        const before = snapshot(task);
+        // Status, rewards, extensions, assignees and the rest have their own routes
+        const updates = Object.keys(req.body).filter(update => EDITABLE_TASK_FIELDS.includes(update));
         updates.forEach(update => task[update] = req.body[update]);
+
+        // A new primary assignee takes the previous one's place among the assignees
+        if (req.body.assignedTo && !sameId(task.assignedTo, req.body.assignedTo)) {
+            if (!mongoose.Types.ObjectId.isValid(req.body.assignedTo) || !(await User.exists({ _id: req.body.assignedTo }))) {
+                return res.status(404).json({ message: 'Assigned user not found' });
+            }
+            task.replacePrimaryAssignee(req.body.assignedTo);
+        }
         
         await task.save();
+        await recordAudit({ req, action: 'task.update', entityType: 'Task', entityId: task._id, before, after: task });
         res.json(task);
     } catch (error) {
         res.status(400).json({ message: error.message });
     }
 });
 
-// Delete task (Admin only)
-router.delete('/:id', auth, isAdmin, async (req, res) => {
+// Delete task (requires edit_project on the task's project)
+router.delete('/:id', auth, hasPermission('edit_project'), async (req, res) => {
     try {
-        const task = await Task.findByIdAndDelete(req.params.id);
+        const task = await Task.findById(req.params.id);
         if (!task) {
             return res.status(404).json({ message: 'Task not found' });
         }
+
+        if (!(await canEditTasksIn(req.user, task.project))) {
+            return res.status(403).json({ message: TASK_ACCESS_DENIED });
+        }
+
+        await Task.deleteOne({ _id: task._id });
+        await Task.updateMany({ predecessors: task._id }, { $pull: { predecessors: task._id } });
+        // Subtasks outlive their parent as standalone tasks
+        await Task.updateMany({ parentTask: task._id }, { $set: { parentTask: null } });
+        await removeStoredFiles(task.attachments);
+        await recordAudit({ req, action: 'task.delete', entityType: 'Task', entityId: task._id, before: task });
         res.json({ message: 'Task deleted successfully' });
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 });
 
+// Get the activity timeline for a task (status changes, reassignment, due dates, extensions, rewards, comments)
+router.get('/:id/activity', auth, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id).select('assignedTo assignees watchers createdBy project');
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        if (!(await canViewTask(req.user, task))) {
+            return res.status(403).json({ message: TASK_ACCESS_DENIED });
+        }
+
+        const activity = await getTaskActivity(task._id);
+        res.json(activity);
+    } catch (error) {
+        console.error('Error fetching task activity:', error);
+        res.status(500).json({ message: 'Error fetching task activity', error: error.message });
+    }
+});
+
+// Get comments for a task
+router.get('/:id/comments', auth, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id)
+            .select('comments assignedTo assignees watchers createdBy project')
+            .populate('comments.postedBy', 'name');
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        if (!(await canViewTask(req.user, task))) {
+            return res.status(403).json({ message: TASK_ACCESS_DENIED });
+        }
+
+        res.json(task.comments);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
 // Add comment to task
 router.post('/:id/comments', auth, async (req, res) => {
     try {
@@ -193,6 +358,10 @@ router.post('/:id/comments', auth, async (req, res) => {
             return res.status(404).json({ message: 'Task not found' });
         }
 
+        if (!(await canViewTask(req.user, task))) {
+            return res.status(403).json({ message: TASK_ACCESS_DENIED });
+        }
+
         // Add the comment
         task.comments.push({
             text: req.body.text,
@@ -201,66 +370,642 @@ router.post('/:id/comments', auth, async (req, res) => {
 
         await task.save();
 
+        const comment = task.comments[task.comments.length - 1];
+        await recordAudit({
+            req,
+            action: 'task.comment',
+            entityType: 'Task',
+            entityId: task._id,
+            metadata: { commentId: comment._id, text: comment.text }
+        });
+
         // Create notifications for:
         // 1. The task creator
-        // 2. The assigned user
+        // 2. The assignees and watchers
         // 3. Admin users
-        const notificationPromises = [];
+        // The commenter is never notified about their own comment, and each
+        // recipient's notification preferences apply (e.g. admins can turn off `comment`).
 
         // Get the current user's name
         const currentUser = await User.findById(req.user._id);
         const commenterName = currentUser ? currentUser.name : 'unknown';
 
-        // Notify task creator if not the commenter
-        if (task.createdBy.toString() !== req.user._id.toString()) {
-            notificationPromises.push(
-                Notification.create({
-                    recipient: task.createdBy,
-                    task: task._id,
-                    type: 'comment',
-                    actor: req.user._id,
-                    message: `New comment on task "${task.title}" by ${commenterName}`
-                })
-            );
-        }
-
-        // Notify assigned user if not the commenter
-        if (task.assignedTo.toString() !== req.user._id.toString()) {
-            notificationPromises.push(
-                Notification.create({
-                    recipient: task.assignedTo,
-                    task: task._id,
-                    type: 'comment',
-                    actor: req.user._id,
-                    message: `New comment on task "${task.title}" by ${commenterName}`
-                })
-            );
-        }
-
-        // Notify admin users only if they are not the task creator or assigned user
-        const adminUsers = await User.find({ role: 'admin' });
-        adminUsers.forEach(admin => {
-            // Skip if admin is the commenter, task creator, or assigned user
-            if (admin._id.toString() !== req.user._id.toString() &&
-                admin._id.toString() !== task.createdBy.toString() &&
-                admin._id.toString() !== task.assignedTo.toString()) {
-                notificationPromises.push(
-                    Notification.create({
-                        recipient: admin._id,
-                        task: task._id,
-                        type: 'comment',
-                        actor: req.user._id,
-                        message: `New comment on task "${task.title}" by ${commenterName}`
-                    })
-                );
+        const adminUsers = await User.find({ role: 'admin' }).select('_id');
+
+        await notify({
+            recipients: [task.createdBy, ...task.getAssigneeIds(), ...task.watchers, ...adminUsers.map(admin => admin._id)],
+            exclude: req.user._id,
+            task: task._id,
+            type: 'comment',
+            actor: req.user._id,
+            message: `New comment on task "${task.title}" by ${commenterName}`
+        });
+
+        res.json(task);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Get a task's predecessors and the tasks waiting on it
+router.get('/:id/dependencies', auth, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id).select('predecessors assignedTo assignees watchers createdBy project');
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        if (!(await canViewTask(req.user, task))) {
+            return res.status(403).json({ message: TASK_ACCESS_DENIED });
+        }
+
+        const [predecessors, successors] = await Promise.all([
+            Task.find({ _id: { $in: task.predecessors } })
+                .select('title status dueDate assignedTo assignees')
+                .populate('assignedTo', 'name'),
+            Task.find({ predecessors: task._id })
+                .select('title status dueDate assignedTo assignees')
+                .populate('assignedTo', 'name')
+        ]);
+
+        res.json({
+            predecessors,
+            successors,
+            isBlocked: predecessors.some(predecessor => predecessor.status !== 'completed')
+        });
+    } catch (error) {
+        console.error('Error fetching task dependencies:', error);
+        res.status(500).json({ message: 'Error fetching task dependencies', error: error.message });
+    }
+});
+
+// Add a predecessor (requires edit_project on the task's project)
+router.post('/:id/dependencies', auth, hasPermission('edit_project'), async (req, res) => {
+    try {
+        const { predecessor } = req.body;
+        if (!predecessor || !mongoose.Types.ObjectId.isValid(predecessor)) {
+            return res.status(400).json({ message: 'A valid predecessor task id is required' });
+        }
+
+        const task = await Task.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        if (!(await canEditTasksIn(req.user, task.project))) {
+            return res.status(403).json({ message: TASK_ACCESS_DENIED });
+        }
+
+        if (task.predecessors.some(id => id.toString() === predecessor)) {
+            return res.status(400).json({ message: 'Task already depends on this predecessor' });
+        }
+
+        task.predecessors.push(predecessor);
+        try {
+            await task.save();
+        } catch (validationError) {
+            if (validationError.name !== 'ValidationError') {
+                throw validationError;
             }
+            const { predecessors } = validationError.errors;
+            return res.status(400).json({ message: predecessors ? predecessors.message : validationError.message });
+        }
+
+        await recordAudit({
+            req,
+            action: 'task.dependency_add',
+            entityType: 'Task',
+            entityId: task._id,
+            metadata: { predecessor }
         });
 
-        await Promise.all(notificationPromises);
+        res.status(201).json(task);
+    } catch (error) {
+        console.error('Error adding task dependency:', error);
+        res.status(500).json({ message: 'Error adding task dependency', error: error.message });
+    }
+});
+
+// Remove a predecessor (requires edit_project on the task's project)
+router.delete('/:id/dependencies/:predecessorId', auth, hasPermission('edit_project'), async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        if (!(await canEditTasksIn(req.user, task.project))) {
+            return res.status(403).json({ message: TASK_ACCESS_DENIED });
+        }
+
+        const remaining = task.predecessors.filter(id => id.toString() !== req.params.predecessorId);
+        if (remaining.length === task.predecessors.length) {
+            return res.status(404).json({ message: 'Dependency not found' });
+        }
+
+        task.predecessors = remaining;
+        await task.save();
+
+        await recordAudit({
+            req,
+            action: 'task.dependency_remove',
+            entityType: 'Task',
+            entityId: task._id,
+            metadata: { predecessor: req.params.predecessorId }
+        });
 
         res.json(task);
     } catch (error) {
-        res.status(400).json({ message: error.message });
+        console.error('Error removing task dependency:', error);
+        res.status(500).json({ message: 'Error removing task dependency', error: error.message });
+    }
+});
+
+// Replace a task's assignees (requires edit_project on the task's project).
+// `primary` defaults to the current primary assignee if kept, else the first listed.
+router.put('/:id/assignees', auth, hasPermission('edit_project'), async (req, res) => {
+    try {
+        const { assignees, primary } = req.body;
+        if (!Array.isArray(assignees) || assignees.length === 0) {
+            return res.status(400).json({ message: 'assignees must be a non-empty array of user ids' });
+        }
+        const ids = [...new Set(assignees.map(String))];
+        if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+            return res.status(400).json({ message: 'assignees must be a non-empty array of user ids' });
+        }
+        if (primary && !ids.includes(String(primary))) {
+            return res.status(400).json({ message: 'The primary assignee must be one of the assignees' });
+        }
+
+        const task = await Task.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        if (!(await canEditTasksIn(req.user, task.project))) {
+            return res.status(403).json({ message: TASK_ACCESS_DENIED });
+        }
+
+        if ((await User.countDocuments({ _id: { $in: ids } })) !== ids.length) {
+            return res.status(404).json({ message: 'Assigned user not found' });
+        }
+
+        const before = snapshot(task);
+        const previous = task.getAssigneeIds();
+        const primaryId = primary
+            ? String(primary)
+            : (ids.includes(previous[0]) ? previous[0] : ids[0]);
+
+        task.assignedTo = primaryId;
+        task.assignees = [primaryId, ...ids.filter(id => id !== primaryId)];
+        await task.save();
+        await recordAudit({ req, action: 'task.update', entityType: 'Task', entityId: task._id, before, after: task });
+
+        await notify({
+            recipients: ids.filter(id => !previous.includes(id)),
+            exclude: req.user._id,
+            task: task._id,
+            type: 'task_assigned',
+            actor: req.user._id,
+            message: `You have been assigned to task "${task.title}"`
+        });
+
+        await task.populate('assignees', 'name');
+        res.json({ assignedTo: task.assignedTo, assignees: task.assignees });
+    } catch (error) {
+        console.error('Error updating task assignees:', error);
+        res.status(500).json({ message: 'Error updating task assignees', error: error.message });
+    }
+});
+
+// Watch a task. Users can watch tasks they can see; adding someone else
+// requires edit_project on the task's project.
+router.post('/:id/watchers', auth, async (req, res) => {
+    try {
+        const userId = req.body.user ? String(req.body.user) : req.user._id.toString();
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ message: 'Invalid user id' });
+        }
+
+        const task = await Task.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        const isSelf = userId === req.user._id.toString();
+        const allowed = isSelf ? await canViewTask(req.user, task) : await canEditTask(req.user, task);
+        if (!allowed) {
+            return res.status(403).json({ message: TASK_ACCESS_DENIED });
+        }
+
+        if (!isSelf && !(await User.exists({ _id: userId }))) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (!task.watchers.some(id => id.toString() === userId)) {
+            task.watchers.push(userId);
+            await task.save();
+            await recordAudit({
+                req,
+                action: 'task.watcher_add',
+                entityType: 'Task',
+                entityId: task._id,
+                metadata: { user: userId }
+            });
+        }
+
+        await task.populate('watchers', 'name');
+        res.json({ watchers: task.watchers });
+    } catch (error) {
+        console.error('Error adding task watcher:', error);
+        res.status(500).json({ message: 'Error adding task watcher', error: error.message });
+    }
+});
+
+// Stop watching a task (the watcher themselves, or with edit_project on the task's project)
+router.delete('/:id/watchers/:userId', auth, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        const isSelf = req.params.userId === req.user._id.toString();
+        if (!isSelf && !(await canEditTask(req.user, task))) {
+            return res.status(403).json({ message: TASK_ACCESS_DENIED });
+        }
+
+        const remaining = task.watchers.filter(id => id.toString() !== req.params.userId);
+        if (remaining.length === task.watchers.length) {
+            return res.status(404).json({ message: 'Watcher not found' });
+        }
+
+        task.watchers = remaining;
+        await task.save();
+        await recordAudit({
+            req,
+            action: 'task.watcher_remove',
+            entityType: 'Task',
+            entityId: task._id,
+            metadata: { user: req.params.userId }
+        });
+
+        await task.populate('watchers', 'name');
+        res.json({ watchers: task.watchers });
+    } catch (error) {
+        console.error('Error removing task watcher:', error);
+        res.status(500).json({ message: 'Error removing task watcher', error: error.message });
+    }
+});
+
+// Get a task's subtasks and its progress
+router.get('/:id/subtasks', auth, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        if (!(await canViewTask(req.user, task))) {
+            return res.status(403).json({ message: TASK_ACCESS_DENIED });
+        }
+
+        const subtasks = await Task.find({ parentTask: task._id })
+            .select('title status priority dueDate assignedTo assignees completionDate')
+            .sort({ createdAt: 1 })
+            .populate('assignedTo', 'name');
+
+        res.json({ subtasks, progress: await task.getProgress() });
+    } catch (error) {
+        console.error('Error fetching subtasks:', error);
+        res.status(500).json({ message: 'Error fetching subtasks', error: error.message });
+    }
+});
+
+// Get a task's checklist and its progress
+router.get('/:id/checklist', auth, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id).populate('checklist.doneBy', 'name');
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        if (!(await canViewTask(req.user, task))) {
+            return res.status(403).json({ message: TASK_ACCESS_DENIED });
+        }
+
+        res.json({ checklist: task.checklist, progress: await task.getProgress() });
+    } catch (error) {
+        console.error('Error fetching checklist:', error);
+        res.status(500).json({ message: 'Error fetching checklist', error: error.message });
+    }
+});
+
+// Add a checklist item at the end (or at `position`); open to the assignees and project members
+router.post('/:id/checklist', auth, async (req, res) => {
+    try {
+        const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+        if (!text || text.length > MAX_CHECKLIST_TEXT_LENGTH) {
+            return res.status(400).json({ message: `Item text is required and may be at most ${MAX_CHECKLIST_TEXT_LENGTH} characters` });
+        }
+
+        const task = await Task.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        if (!(await canWorkOnTask(req.user, task))) {
+            return res.status(403).json({ message: 'Only the assignees and project members can edit the checklist' });
+        }
+
+        if (task.checklist.length >= MAX_CHECKLIST_ITEMS) {
+            return res.status(400).json({ message: `A checklist can have at most ${MAX_CHECKLIST_ITEMS} items` });
+        }
+
+        const position = parseInt(req.body.position, 10);
+        const index = position >= 0 && position < task.checklist.length ? position : task.checklist.length;
+        task.checklist.splice(index, 0, { text, createdBy: req.user._id });
+        const item = task.checklist[index];
+        await task.save();
+
+        await recordAudit({
+            req,
+            action: 'task.checklist_add',
+            entityType: 'Task',
+            entityId: task._id,
+            metadata: { item: item._id, text }
+        });
+
+        res.status(201).json({ item, checklist: task.checklist, progress: await task.getProgress() });
+    } catch (error) {
+        console.error('Error adding checklist item:', error);
+        res.status(500).json({ message: 'Error adding checklist item', error: error.message });
+    }
+});
+
+// Reorder the checklist; `itemIds` must list every item once, in the new order
+router.put('/:id/checklist/order', auth, async (req, res) => {
+    try {
+        const { itemIds } = req.body;
+        if (!Array.isArray(itemIds)) {
+            return res.status(400).json({ message: 'itemIds must be an array of checklist item ids' });
+        }
+
+        const task = await Task.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        if (!(await canWorkOnTask(req.user, task))) {
+            return res.status(403).json({ message: 'Only the assignees and project members can edit the checklist' });
+        }
+
+        const items = itemIds.map(id => task.checklist.id(id));
+        const uniqueIds = new Set(itemIds.map(String));
+        if (items.some(item => !item) || uniqueIds.size !== itemIds.length || itemIds.length !== task.checklist.length) {
+            return res.status(400).json({ message: 'itemIds must contain each checklist item exactly once' });
+        }
+
+        task.checklist = items.map(item => item.toObject());
+        await task.save();
+
+        await recordAudit({
+            req,
+            action: 'task.checklist_reorder',
+            entityType: 'Task',
+            entityId: task._id,
+            metadata: { order: itemIds }
+        });
+
+        res.json({ checklist: task.checklist, progress: await task.getProgress() });
+    } catch (error) {
+        console.error('Error reordering checklist:', error);
+        res.status(500).json({ message: 'Error reordering checklist', error: error.message });
+    }
+});
+
+// Check or uncheck (`done`) and/or rename (`text`) a checklist item
+router.patch('/:id/checklist/:itemId', auth, async (req, res) => {
+    try {
+        const { done } = req.body;
+        const text = typeof req.body.text === 'string' ? req.body.text.trim() : undefined;
+        if (done === undefined && text === undefined) {
+            return res.status(400).json({ message: 'Provide done and/or text' });
+        }
+        if (done !== undefined && typeof done !== 'boolean') {
+            return res.status(400).json({ message: 'done must be a boolean' });
+        }
+        if (text !== undefined && (!text || text.length > MAX_CHECKLIST_TEXT_LENGTH)) {
+            return res.status(400).json({ message: `Item text is required and may be at most ${MAX_CHECKLIST_TEXT_LENGTH} characters` });
+        }
+
+        const task = await Task.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        if (!(await canWorkOnTask(req.user, task))) {
+            return res.status(403).json({ message: 'Only the assignees and project members can edit the checklist' });
+        }
+
+        const item = task.checklist.id(req.params.itemId);
+        if (!item) {
+            return res.status(404).json({ message: 'Checklist item not found' });
+        }
+
+        const before = { text: item.text, done: item.done };
+        if (text !== undefined) {
+            item.text = text;
+        }
+        if (done !== undefined && done !== item.done) {
+            item.done = done;
+            item.doneBy = done ? req.user._id : null;
+            item.doneAt = done ? new Date() : null;
+        }
+        await task.save();
+
+        await recordAudit({
+            req,
+            action: 'task.checklist_update',
+            entityType: 'Task',
+            entityId: task._id,
+            metadata: { item: item._id, before, after: { text: item.text, done: item.done } }
+        });
+
+        res.json({ item, checklist: task.checklist, progress: await task.getProgress() });
+    } catch (error) {
+        console.error('Error updating checklist item:', error);
+        res.status(500).json({ message: 'Error updating checklist item', error: error.message });
+    }
+});
+
+// Delete a checklist item
+router.delete('/:id/checklist/:itemId', auth, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        if (!(await canWorkOnTask(req.user, task))) {
+            return res.status(403).json({ message: 'Only the assignees and project members can edit the checklist' });
+        }
+
+        const item = task.checklist.id(req.params.itemId);
+        if (!item) {
+            return res.status(404).json({ message: 'Checklist item not found' });
+        }
+
+        const removed = { _id: item._id, text: item.text };
+        item.deleteOne();
+        await task.save();
+
+        await recordAudit({
+            req,
+            action: 'task.checklist_remove',
+            entityType: 'Task',
+            entityId: task._id,
+            metadata: { item: removed._id, text: removed.text }
+        });
+
+        res.json({ checklist: task.checklist, progress: await task.getProgress() });
+    } catch (error) {
+        console.error('Error deleting checklist item:', error);
+        res.status(500).json({ message: 'Error deleting checklist item', error: error.message });
+    }
+});
+
+// List a task's attachments
+router.get('/:id/attachments', auth, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id)
+            .select('attachments assignedTo assignees watchers createdBy project')
+            .populate('attachments.uploadedBy', 'name');
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        if (!(await canViewTask(req.user, task))) {
+            return res.status(403).json({ message: TASK_ACCESS_DENIED });
+        }
+
+        res.json(task.attachments);
+    } catch (error) {
+        console.error('Error fetching attachments:', error);
+        res.status(500).json({ message: 'Error fetching attachments', error: error.message });
+    }
+});
+
+// Upload attachments (multipart/form-data, field "files"); open to the assignees and project members
+router.post('/:id/attachments', auth, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        const project = await Project.findById(task.project).select('projectManager team');
+        if (!task.isAssignee(req.user._id) && !(project && isProjectMember(req.user, project))) {
+            return res.status(403).json({ message: 'Only the assignees and project members can upload attachments' });
+        }
+
+        const upload = await receiveUpload(req, res);
+        if (!upload.files) {
+            return res.status(upload.status).json({ message: upload.message });
+        }
+
+        const stored = await storeFiles(upload.files, `tasks/${task._id}`, req.user._id);
+        const added = stored.map(file => {
+            task.attachments.push(file);
+            const attachment = task.attachments[task.attachments.length - 1];
+            attachment.url = `/api/tasks/${task._id}/attachments/${attachment._id}/download`;
+            return attachment;
+        });
+
+        try {
+            await task.save();
+        } catch (error) {
+            await removeStoredFiles(stored);
+            throw error;
+        }
+
+        await recordAudit({
+            req,
+            action: 'task.attachment_add',
+            entityType: 'Task',
+            entityId: task._id,
+            metadata: { files: added.map(attachment => ({ _id: attachment._id, name: attachment.name, size: attachment.size })) }
+        });
+
+        res.status(201).json(added);
+    } catch (error) {
+        console.error('Error uploading attachments:', error);
+        res.status(500).json({ message: 'Error uploading attachments', error: error.message });
+    }
+});
+
+// Download an attachment
+router.get('/:id/attachments/:attachmentId/download', auth, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id).select('attachments assignedTo assignees watchers createdBy project');
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        if (!(await canViewTask(req.user, task))) {
+            return res.status(403).json({ message: TASK_ACCESS_DENIED });
+        }
+
+        const attachment = task.attachments.id(req.params.attachmentId);
+        if (!attachment || !attachment.storageKey) {
+            return res.status(404).json({ message: 'Attachment not found' });
+        }
+
+        await sendStoredFile(res, attachment);
+    } catch (error) {
+        console.error('Error downloading attachment:', error);
+        if (!res.headersSent) {
+            res.status(404).json({ message: 'Attachment file not found' });
+        }
+    }
+});
+
+// Delete an attachment (uploader, project manager or admin)
+router.delete('/:id/attachments/:attachmentId', auth, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        const attachment = task.attachments.id(req.params.attachmentId);
+        if (!attachment) {
+            return res.status(404).json({ message: 'Attachment not found' });
+        }
+
+        const project = await Project.findById(task.project).select('projectManager');
+        const isManager = project ? isProjectManager(req.user, project) : req.user.role === 'admin';
+        if (!sameId(attachment.uploadedBy, req.user._id) && !isManager) {
+            return res.status(403).json({ message: 'Only the uploader or the project manager can delete this attachment' });
+        }
+
+        const removed = attachment.toObject();
+        attachment.deleteOne();
+        await task.save();
+        await removeStoredFiles([removed]);
+
+        await recordAudit({
+            req,
+            action: 'task.attachment_remove',
+            entityType: 'Task',
+            entityId: task._id,
+            metadata: { files: [{ _id: removed._id, name: removed.name, size: removed.size }] }
+        });
+
+        res.json({ message: 'Attachment deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting attachment:', error);
+        res.status(500).json({ message: 'Error deleting attachment', error: error.message });
     }
 });
 
@@ -285,8 +1030,8 @@ router.patch('/:id/status', auth, async (req, res) => {
             return res.status(404).json({ message: 'Task not found' });
         }
         
-        // Check if the user is assigned to this task or is an admin
-        const isAssigned = task.assignedTo && task.assignedTo.toString() === req.user._id.toString();
+        // Check if the user is one of the task's assignees or is an admin
+        const isAssigned = task.isAssignee(req.user._id);
         const isAdmin = req.user.role === 'admin';
         
         if (!isAssigned && !isAdmin) {
@@ -295,34 +1040,121 @@ router.patch('/:id/status', auth, async (req, res) => {
             });
         }
         
+        // Work cannot start or finish while predecessors are open, unless an admin forces it
+        let overriddenBlockers = [];
+        if (['in_progress', 'completed'].includes(status) && status !== task.status) {
+            const openBlockers = await task.getOpenBlockers();
+            if (openBlockers.length > 0) {
+                if (!(isAdmin && req.body.force === true)) {
+                    return res.status(409).json({
+                        message: 'Task is blocked by predecessors that are not completed',
+                        blockers: openBlockers,
+                        ...(isAdmin ? { hint: 'Send force: true to override' } : {})
+                    });
+                }
+                overriddenBlockers = openBlockers.map(blocker => blocker._id);
+            }
+        }
+
         console.log(`Updating task ${task._id} status from ${task.status} to ${status} by user ${req.user._id}`);
+
+        const before = snapshot(task);
         
         // Update status
         task.status = status;
         
         let rewardInfo = null;
         
-        // If task is being completed, handle rewards
-        if (status === 'completed') {
+        // If task is being completed, handle rewards for every assignee (only once)
+        if (status === 'completed' && before.status !== 'completed') {
             const completedTask = await task.completeTask();
+            if (!completedTask) {
+                return res.status(409).json({ message: 'Task has already been completed' });
+            }
             // Get updated user info to include reward points
-            const user = await User.findById(task.assignedTo);
+            const users = await User.find({ _id: { $in: completedTask.rewardShares.map(share => share.user) } });
+            for (const share of completedTask.rewardShares) {
+                const user = users.find(candidate => sameId(candidate, share.user));
+                if (user && share.points > 0) {
+                    await recordAudit({
+                        req,
+                        action: 'reward.grant',
+                        entityType: 'Reward',
+                        entityId: user._id,
+                        metadata: {
+                            task: task._id,
+                            points: share.points,
+                            reason: completedTask.hasManualReward ? 'manual_reward' : 'on_time_completion',
+                            totalPoints: user.rewardPoints
+                        }
+                    });
+                }
+            }
+
+            // Report the requesting assignee's share, or the primary assignee's when an admin completes the task
+            const reported = completedTask.rewardShares.find(share => sameId(share.user, req.user._id)) ||
+                completedTask.rewardShares[0];
+            const user = reported && users.find(candidate => sameId(candidate, reported.user));
             if (user) {
                 rewardInfo = {
-                    pointsEarned: completedTask.rewardPoints,
+                    pointsEarned: reported.points,
                     totalPoints: user.rewardPoints,
                     currentStreak: user.currentStreak,
-                    isCompletedOnTime: completedTask.isCompletedOnTime
+                    isCompletedOnTime: completedTask.isCompletedOnTime,
+                    taskPoints: completedTask.rewardPoints,
+                    shares: completedTask.rewardShares
                 };
             }
         } else {
             await task.save();
         }
+
+        await recordAudit({
+            req,
+            action: 'task.status_change',
+            entityType: 'Task',
+            entityId: task._id,
+            before,
+            after: task,
+            metadata: overriddenBlockers.length > 0 ? { overriddenBlockers } : undefined
+        });
+
+        // Push the change to everyone who can see the task
+        publishToUsers(await getTaskAudience(task), 'task_status', {
+            taskId: task._id,
+            from: before.status,
+            to: task.status,
+            changedBy: req.user._id,
+            changedAt: new Date()
+        });
+
+        if (status !== before.status) {
+            await notify({
+                recipients: [...task.getAssigneeIds(), ...task.watchers],
+                exclude: req.user._id,
+                task: task._id,
+                type: 'task_status_change',
+                actor: req.user._id,
+                message: `Task "${task.title}" moved from ${before.status} to ${status}`
+            });
+        }
+
+        if (status === 'completed' && before.status !== 'completed') {
+            await dispatchWebhookEvent('task.completed', {
+                task: buildTaskWebhookData(task),
+                completedBy: req.user._id,
+                isCompletedOnTime: task.isCompletedOnTime,
+                rewardPoints: task.rewardPoints
+            });
+
+            await notifyWaitingTasks(task, req.user._id);
+        }
         
         // Return the updated task with populated fields and reward info
         const updatedTask = await Task.findById(req.params.id)
             .populate('project', 'name')
             .populate('assignedTo', 'name')
+            .populate('assignees', 'name')
             .populate('createdBy', 'name')
             .populate('comments.postedBy', 'name');
             
@@ -378,8 +1210,8 @@ router.post('/:id/extension-request', auth, async (req, res) => {
             return res.status(404).json({ message: 'Task not found' });
         }
 
-        // Check if user is assigned to this task
-        if (task.assignedTo.toString() !== req.user._id.toString()) {
+        // Any of the task's assignees may ask for more time
+        if (!task.isAssignee(req.user._id)) {
             return res.status(403).json({ message: 'You are not assigned to this task' });
         }
 
@@ -395,6 +1227,7 @@ router.post('/:id/extension-request', auth, async (req, res) => {
             return res.status(400).json({ message: 'New due date must be after current due date' });
         }
 
+        const before = snapshot(task);
         task.extensionRequest = {
             requested: true,
             status: 'pending',
@@ -405,18 +1238,17 @@ router.post('/:id/extension-request', auth, async (req, res) => {
         };
 
         await task.save();
+        await recordAudit({ req, action: 'task.extension_request', entityType: 'Task', entityId: task._id, before, after: task });
 
         // Create notification for admin
-        const notification = new Notification({
-            recipient: task.createdBy, // Assuming admin is the task creator
+        await notify({
+            recipients: task.createdBy, // Assuming admin is the task creator
             task: task._id,
             type: 'extension_request',
             message: `Extension requested for task: ${task.title}`,
             actor: req.user._id
         });
 
-        await notification.save();
-
         res.json({ message: 'Extension request submitted successfully', task });
     } catch (error) {
         console.error('Error requesting extension:', error);
@@ -446,6 +1278,8 @@ router.patch('/:id/extension-request', auth, isAdmin, async (req, res) => {
             return res.status(400).json({ message: 'New due date is required when approving extension' });
         }
 
+        const before = snapshot(task);
+
         if (status === 'approved') {
             const proposedDate = new Date(newDueDate);
             if (proposedDate <= task.dueDate) {
@@ -453,6 +1287,11 @@ router.patch('/:id/extension-request', auth, isAdmin, async (req, res) => {
             }
 
             task.dueDate = proposedDate;
+            // The task is no longer late, so undo the overdue job's flag
+            if (task.status === 'overdue' && proposedDate >= getOverdueCutoff()) {
+                task.status = await getStatusBeforeOverdue(task);
+                task.overdueNotifiedAt = null;
+            }
             task.extensionRequest.status = 'approved';
             task.extensionRequest.approvedBy = req.user._id;
             task.extensionRequest.approvedAt = new Date();
@@ -464,17 +1303,50 @@ router.patch('/:id/extension-request', auth, isAdmin, async (req, res) => {
         }
 
         await task.save();
+        await recordAudit({
+            req,
+            action: status === 'approved' ? 'task.extension_approve' : 'task.extension_reject',
+            entityType: 'Task',
+            entityId: task._id,
+            before,
+            after: task
+        });
 
-        // Create notification for the assigned user
-        const notification = new Notification({
-            recipient: task.assignedTo,
+        await dispatchWebhookEvent(status === 'approved' ? 'task.extension_approved' : 'task.extension_rejected', {
+            task: buildTaskWebhookData(task),
+            decidedBy: req.user._id,
+            reason: task.extensionRequest.reason,
+            previousDueDate: before.dueDate,
+            newDueDate: status === 'approved' ? task.dueDate : null
+        });
+
+        if (task.status !== before.status) {
+            publishToUsers(await getTaskAudience(task), 'task_status', {
+                taskId: task._id,
+                from: before.status,
+                to: task.status,
+                changedBy: req.user._id,
+                changedAt: new Date()
+            });
+        }
+
+        // Notify the requester, the other assignees and the watchers
+        const requester = task.extensionRequest.requestedBy;
+        await notify({
+            recipients: requester || task.assignedTo,
             task: task._id,
             type: 'extension_response',
             message: `Your extension request for task "${task.title}" has been ${status}`,
             actor: req.user._id
         });
-
-        await notification.save();
+        await notify({
+            recipients: [...task.getAssigneeIds(), ...task.watchers],
+            exclude: [requester || task.assignedTo, req.user._id],
+            task: task._id,
+            type: 'extension_response',
+            message: `The extension request for task "${task.title}" has been ${status}`,
+            actor: req.user._id
+        });
 
         res.json({ 
             message: `Extension request ${status} successfully`,
@@ -494,11 +1366,9 @@ router.get('/:id/extension-request', auth, async (req, res) => {
             return res.status(404).json({ message: 'Task not found' });
         }
 
-        // Check if user is assigned to this task or is admin
-        if (task.assignedTo.toString() !== req.user._id.toString() && 
-            task.createdBy.toString() !== req.user._id.toString() &&
-            req.user.role !== 'admin') {
-            return res.status(403).json({ message: 'You are not authorized to view this extension request' });
+        // Same visibility rules as the task itself
+        if (!(await canViewTask(req.user, task))) {
+            return res.status(403).json({ message: TASK_ACCESS_DENIED });
         }
 
         res.json({ extensionRequest: task.extensionRequest });
@@ -522,22 +1392,30 @@ router.patch('/:id/manual-reward', auth, isAdmin, async (req, res) => {
         }
 
         // Set manual reward points
+        const before = snapshot(task);
         task.manualRewardPoints = points;
         task.hasManualReward = true;
 
         await task.save();
+        await recordAudit({
+            req,
+            action: 'reward.manual_set',
+            entityType: 'Reward',
+            entityId: task.assignedTo,
+            before: { manualRewardPoints: before.manualRewardPoints, hasManualReward: before.hasManualReward },
+            after: { manualRewardPoints: task.manualRewardPoints, hasManualReward: task.hasManualReward },
+            metadata: { task: task._id, assignees: task.getAssigneeIds() }
+        });
 
-        // Create notification for the assigned user
-        const notification = new Notification({
-            recipient: task.assignedTo,
+        // Create notification for the assignees
+        await notify({
+            recipients: task.getAssigneeIds(),
             task: task._id,
             type: 'reward',
             message: `Manual reward points (${points}) have been set for task "${task.title}"`,
             actor: req.user._id
         });
 
-        await notification.save();
-
         res.json({ 
             message: 'Manual reward points set successfully',
             task 
@@ -548,4 +1426,225 @@ router.patch('/:id/manual-reward', auth, isAdmin, async (req, res) => {
     }
 });
 
-module.exports = router; 
\ No newline at end of file
+// Helper function to check if the user may create/edit/delete tasks in a project
+async function canEditTasksIn(user, projectId) {
+    if (user.role === 'admin') {
+        return true;
+    }
+    const project = await Project.findById(projectId).select('projectManager team');
+    return !!project && isProjectMember(user, project);
+}
+
+// Helper function for routes open to everyone: edit_project and membership of the task's project
+async function canEditTask(user, task) {
+    const hasEditPermission = user.role === 'admin' || (user.permissions || []).includes('edit_project');
+    return hasEditPermission && canEditTasksIn(user, task.project);
+}
+
+// Helper function to check if the user may work on a task's checklist: the assignees and project members
+async function canWorkOnTask(user, task) {
+    if (task.isAssignee(user._id)) {
+        return true;
+    }
+    const project = await Project.findById(task.project).select('projectManager team');
+    return !!project && isProjectMember(user, project);
+}
+
+// Pagination defaults for task listing
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const TASK_STATUSES = ['pending', 'in_progress', 'completed', 'overdue'];
+// Fields PUT /:id may write; `assignedTo` is handled separately
+const EDITABLE_TASK_FIELDS = ['title', 'description', 'priority', 'dueDate', 'project', 'parentTask'];
+
+const MAX_CHECKLIST_ITEMS = 100;
+const MAX_CHECKLIST_TEXT_LENGTH = 500;
+
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const SORTABLE_TASK_FIELDS = ['createdAt', 'updatedAt', 'dueDate', 'priority', 'status', 'title'];
+
+// Helper function to tell the assignees of tasks waiting on `task` that it was completed
+async function notifyWaitingTasks(task, actorId) {
+    const waitingTasks = await Task.find({ predecessors: task._id, status: { $ne: 'completed' } })
+        .select('title assignedTo assignees predecessors');
+
+    for (const waitingTask of waitingTasks) {
+        const openBlockers = await waitingTask.getOpenBlockers();
+        const message = openBlockers.length === 0
+            ? `Task "${waitingTask.title}" is ready to start: "${task.title}" was completed`
+            : `"${task.title}" was completed; task "${waitingTask.title}" is still waiting on ${openBlockers.length} other task(s)`;
+
+        await notify({
+            recipients: waitingTask.getAssigneeIds(),
+            exclude: actorId,
+            task: waitingTask._id,
+            type: 'blocker_completed',
+            actor: actorId,
+            message,
+            metadata: { blocker: task._id, remainingBlockers: openBlockers.length }
+        });
+    }
+}
+
+// Helper function to build the task summary sent in webhook payloads
+function buildTaskWebhookData(task) {
+    return {
+        _id: task._id,
+        title: task.title,
+        project: task.project,
+        assignedTo: task.assignedTo,
+        assignees: task.getAssigneeIds(),
+        status: task.status,
+        priority: task.priority,
+        dueDate: task.dueDate,
+        completionDate: task.completionDate || null
+    };
+}
+
+// Helper function to split a comma separated query value into a list
+function parseListParam(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    const values = Array.isArray(value) ? value : String(value).split(',');
+    return values.map(item => String(item).trim()).filter(Boolean);
+}
+
+// Helper function to escape user input before using it in a regular expression
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Helper function to build a Task query filter from request query params
+function buildTaskFilter(query) {
+    const filter = {};
+
+    const statuses = parseListParam(query.status);
+    if (statuses.length > 0) {
+        const invalid = statuses.filter(status => !TASK_STATUSES.includes(status));
+        if (invalid.length > 0) {
+            throw new Error(`Invalid status value: ${invalid.join(', ')}`);
+        }
+        filter.status = { $in: statuses };
+    }
+
+    const priorities = parseListParam(query.priority);
+    if (priorities.length > 0) {
+        const invalid = priorities.filter(priority => !TASK_PRIORITIES.includes(priority));
+        if (invalid.length > 0) {
+            throw new Error(`Invalid priority value: ${invalid.join(', ')}`);
+        }
+        filter.priority = { $in: priorities };
+    }
+
+    // assignedTo matches any of a task's assignees
+    const filterPaths = { project: 'project', assignedTo: 'assignees', watcher: 'watchers', parentTask: 'parentTask' };
+    Object.entries(filterPaths).forEach(([field, path]) => {
+        const ids = parseListParam(query[field]);
+        if (ids.length > 0) {
+            const invalid = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+            if (invalid.length > 0) {
+                throw new Error(`Invalid ${field} id: ${invalid.join(', ')}`);
+            }
+            filter[path] = { $in: ids };
+        }
+    });
+
+    if (query.dueFrom || query.dueTo) {
+        filter.dueDate = {};
+        if (query.dueFrom) {
+            const dueFrom = new Date(query.dueFrom);
+            if (isNaN(dueFrom.getTime())) {
+                throw new Error('Invalid dueFrom date');
+            }
+            filter.dueDate.$gte = dueFrom;
+        }
+        if (query.dueTo) {
+            const dueTo = new Date(query.dueTo);
+            if (isNaN(dueTo.getTime())) {
+                throw new Error('Invalid dueTo date');
+            }
+            filter.dueDate.$lte = dueTo;
+        }
+    }
+
+    if (query.search && String(query.search).trim()) {
+        const pattern = new RegExp(escapeRegex(String(query.search).trim()), 'i');
+        filter.$or = [
+            { title: pattern },
+            { description: pattern }
+        ];
+    }
+
+    return filter;
+}
+
+// Helper function to turn "-dueDate,priority" into a mongoose sort object
+function parseTaskSort(sortParam) {
+    const sort = {};
+    parseListParam(sortParam).forEach(item => {
+        const direction = item.startsWith('-') ? -1 : 1;
+        const field = item.replace(/^[-+]/, '');
+        if (SORTABLE_TASK_FIELDS.includes(field)) {
+            sort[field] = direction;
+        }
+    });
+
+    if (Object.keys(sort).length === 0) {
+        sort.createdAt = -1;
+    }
+    // Tie-breaker so pages stay stable when sort values are equal
+    if (!sort._id) {
+        sort._id = -1;
+    }
+    return sort;
+}
+
+// Helper function to find the status a task had before the overdue job flagged
+// it, from the job's audit entry; tasks without one go back to pending
+async function getStatusBeforeOverdue(task) {
+    const entry = await AuditLog.findOne({ entityType: 'Task', entityId: task._id, action: 'task.overdue' })
+        .sort({ createdAt: -1 })
+        .select('changes');
+    const previous = entry && entry.changes && entry.changes.status && entry.changes.status.from;
+    return ['pending', 'in_progress'].includes(previous) ? previous : 'pending';
+}
+
+// Helper function to load one page of tasks (all of them when `limit` is null).
+// Priorities are stored as strings, so sorting by priority goes through an
+// aggregation that ranks them low < medium < high < urgent.
+async function findTaskPage(filter, sort, skip, limit) {
+    const populate = [
+        { path: 'project', select: 'name' },
+        { path: 'assignedTo', select: 'name' },
+        { path: 'assignees', select: 'name' },
+        { path: 'createdBy', select: 'name' }
+    ];
+
+    if (sort.priority === undefined) {
+        const query = Task.find(filter).sort(sort).skip(skip);
+        if (limit) {
+            query.limit(limit);
+        }
+        return query.populate(populate);
+    }
+
+    const rankedSort = {};
+    Object.entries(sort).forEach(([field, direction]) => {
+        rankedSort[field === 'priority' ? 'priorityRank' : field] = direction;
+    });
+
+    const docs = await Task.aggregate([
+        // Aggregations skip schema casting, so cast the filter the way find() would
+        { $match: Task.where(filter).cast(Task) },
+        { $addFields: { priorityRank: { $indexOfArray: [TASK_PRIORITIES, '$priority'] } } },
+        { $sort: rankedSort },
+        { $skip: skip },
+        ...(limit ? [{ $limit: limit }] : []),
+        { $project: { priorityRank: 0 } }
+    ]);
+    return Task.populate(docs.map(doc => Task.hydrate(doc)), populate);
+}
+
+module.exports = router;
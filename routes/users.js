@@ -1,11 +1,20 @@
 const express = require('express');
 const router = express.Router();
+const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth, isAdmin } = require('../middleware/auth');
-
-// Get all users (Admin only)
-router.get('/', [auth, isAdmin], async (req, res) => {
+const Role = require('../models/Role');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const RefreshToken = require('../models/RefreshToken');
+const NotificationPreference = require('../models/NotificationPreference');
+const RecurringTask = require('../models/RecurringTask');
+const { auth, hasPermission } = require('../middleware/auth');
+const { revokeAllSessions } = require('../utils/tokens');
+const { recordAudit, snapshot } = require('../utils/audit');
+
+// Get all users (requires manage_users)
+router.get('/', [auth, hasPermission('manage_users')], async (req, res) => {
     try {
         const users = await User.find().select('-password');
         res.json(users);
@@ -14,15 +23,15 @@ router.get('/', [auth, isAdmin], async (req, res) => {
     }
 });
 
-// Create new user (Admin only)
+// Create new user (requires manage_users)
 router.post('/', [
     auth,
-    isAdmin,
+    hasPermission('manage_users'),
     [
         body('name').trim().notEmpty().withMessage('Name is required'),
         body('email').isEmail().withMessage('Please enter a valid email'),
         body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
-        body('role').isIn(['admin', 'designer', 'project_manager', 'sales_representative', 'employee']).withMessage('Invalid role'),
+        body('role').custom(value => Role.assertValidRole(value)),
         body('department').isIn(['Design', 'Project Management', 'Sales', 'Administration', 'Other']).withMessage('Invalid department')
     ]
 ], async (req, res) => {
@@ -37,6 +46,11 @@ router.post('/', [
 
         const { name, email, password, role, department } = req.body;
 
+        const grantError = await Role.getGrantError(req.user, role);
+        if (grantError) {
+            return res.status(403).json({ message: grantError });
+        }
+
         // Check if user already exists
         let user = await User.findOne({ email });
         if (user) {
@@ -45,13 +59,14 @@ router.post('/', [
         }
 
         // Create new user with role-specific permissions
+        const permissions = await Role.getPermissions(role);
         user = new User({
             name,
             email,
             password,
             role,
             department,
-            permissions: getDefaultPermissions(role)
+            permissions
         });
 
         console.log('Attempting to save new user:', {
@@ -59,11 +74,12 @@ router.post('/', [
             email,
             role,
             department,
-            permissions: getDefaultPermissions(role)
+            permissions
         });
 
         await user.save();
         console.log('User saved successfully:', user._id);
+        await recordAudit({ req, action: 'user.create', entityType: 'User', entityId: user._id, after: user });
 
         res.status(201).json({
             _id: user._id,
@@ -83,7 +99,7 @@ router.post('/', [
 router.get('/:id', auth, async (req, res) => {
     try {
         // Check if user has permission to view
-        if (req.user.role !== 'admin' && req.user._id.toString() !== req.params.id) {
+        if (!canManageUser(req.user, req.params.id)) {
             return res.status(403).json({ message: 'Access denied' });
         }
 
@@ -115,7 +131,7 @@ router.put('/:id', [
         }
 
         // Check if user has permission to update
-        if (req.user.role !== 'admin' && req.user._id.toString() !== req.params.id) {
+        if (!canManageUser(req.user, req.params.id)) {
             return res.status(403).json({ message: 'Access denied' });
         }
 
@@ -124,49 +140,131 @@ router.put('/:id', [
             return res.status(404).json({ message: 'User not found' });
         }
 
-        // Update fields
-        Object.keys(req.body).forEach(key => {
-            if (key !== 'role') { // Prevent role update through this route
+        if (isProtectedAdmin(req.user, user)) {
+            return res.status(403).json({ message: ADMIN_ACCOUNT_DENIED });
+        }
+
+        // Users change their own password through /api/auth/change-password,
+        // which verifies the current one. User managers may set a new password directly.
+        const isSelf = req.user._id.toString() === req.params.id;
+        if (req.body.password !== undefined && isSelf) {
+            return res.status(400).json({ message: 'Use /api/auth/change-password to change your own password' });
+        }
+
+        const before = snapshot(user);
+
+        // Update profile fields; role, permissions, rewards and credentials have their own routes
+        EDITABLE_USER_FIELDS.forEach(key => {
+            if (req.body[key] !== undefined) {
                 user[key] = req.body[key];
             }
         });
 
+        const passwordChanged = req.body.password !== undefined;
+        if (passwordChanged) {
+            user.password = await bcrypt.hash(req.body.password, 10);
+        }
+
         await user.save();
+        await recordAudit({
+            req,
+            action: 'user.update',
+            entityType: 'User',
+            entityId: user._id,
+            before,
+            after: user,
+            metadata: passwordChanged ? { passwordChanged: true } : {}
+        });
+
+        // A password set by a manager signs the user out everywhere
+        if (passwordChanged) {
+            await revokeAllSessions(user._id);
+        }
+
         res.json(user);
     } catch (error) {
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-// Update user role (Admin only)
+// Update user role (requires manage_users)
 router.put('/:id/role', [
     auth,
-    isAdmin,
-    body('role').isIn(['admin', 'designer', 'project_manager', 'sales_representative', 'employee']).withMessage('Invalid role')
+    hasPermission('manage_users'),
+    body('role').custom(value => Role.assertValidRole(value))
 ], async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
         const user = await User.findById(req.params.id);
         if (!user) {
             return res.status(404).json({ message: 'User not found' });
         }
 
+        if (isProtectedAdmin(req.user, user)) {
+            return res.status(403).json({ message: ADMIN_ACCOUNT_DENIED });
+        }
+        const grantError = await Role.getGrantError(req.user, req.body.role);
+        if (grantError) {
+            return res.status(403).json({ message: grantError });
+        }
+
+        const before = snapshot(user);
         user.role = req.body.role;
-        user.permissions = getDefaultPermissions(req.body.role);
+        user.permissions = await Role.getPermissions(req.body.role);
         await user.save();
+        await recordAudit({ req, action: 'user.role_change', entityType: 'User', entityId: user._id, before, after: user });
         res.json(user);
     } catch (error) {
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-// Delete user (Admin only)
-router.delete('/:id', [auth, isAdmin], async (req, res) => {
+// Unlock a user locked out by failed logins (requires manage_users)
+router.post('/:id/unlock', [auth, hasPermission('manage_users')], async (req, res) => {
     try {
-        const user = await User.findByIdAndDelete(req.params.id);
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (isProtectedAdmin(req.user, user)) {
+            return res.status(403).json({ message: ADMIN_ACCOUNT_DENIED });
+        }
+
+        await user.resetLoginAttempts();
+        await recordAudit({ req, action: 'user.unlock', entityType: 'User', entityId: user._id, metadata: { unlocked: true } });
+        res.json({ message: 'User account unlocked' });
+    } catch (error) {
+        console.error('Error unlocking user:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Delete user (requires manage_users)
+router.delete('/:id', [auth, hasPermission('manage_users')], async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
         if (!user) {
             return res.status(404).json({ message: 'User not found' });
         }
 
+        if (isProtectedAdmin(req.user, user)) {
+            return res.status(403).json({ message: ADMIN_ACCOUNT_DENIED });
+        }
+
+        await User.deleteOne({ _id: user._id });
+
+        // Drop the deleted user's sessions and preferences
+        await RefreshToken.deleteMany({ user: user._id });
+        await NotificationPreference.deleteOne({ user: user._id });
+        // Their recurring tasks wait for a new assignee
+        await RecurringTask.updateMany({ assignedTo: user._id, status: 'active' }, { $set: { status: 'paused' }, $inc: { __v: 1 } });
+        await recordAudit({ req, action: 'user.delete', entityType: 'User', entityId: user._id, before: user });
+
         res.json({ message: 'User deleted successfully' });
     } catch (error) {
         console.error('Error deleting user:', error);
@@ -178,13 +276,13 @@ router.delete('/:id', [auth, isAdmin], async (req, res) => {
 router.get('/:id/tasks', auth, async (req, res) => {
     try {
         // Check if user has permission to view tasks
-        if (req.user.role !== 'admin' && req.user._id.toString() !== req.params.id) {
+        if (!canManageUser(req.user, req.params.id)) {
             return res.status(403).json({ message: 'Access denied' });
         }
 
-        const tasks = await Task.find({ assignedTo: req.params.id })
+        const tasks = await Task.find({ assignees: req.params.id })
             .populate('project', 'name')
-            .populate('assignedBy', 'name email')
+            .populate('createdBy', 'name email')
             .sort({ createdAt: -1 });
 
         res.json(tasks);
@@ -197,7 +295,7 @@ router.get('/:id/tasks', auth, async (req, res) => {
 router.get('/:id/projects', auth, async (req, res) => {
     try {
         // Check if user has permission to view projects
-        if (req.user.role !== 'admin' && req.user._id.toString() !== req.params.id) {
+        if (!canManageUser(req.user, req.params.id)) {
             return res.status(403).json({ message: 'Access denied' });
         }
 
@@ -221,7 +319,7 @@ router.get('/:id/projects', auth, async (req, res) => {
 router.get('/profile/:id', auth, async (req, res) => {
     try {
         // Check if user has permission to view
-        if (req.user.role !== 'admin' && req.user._id.toString() !== req.params.id) {
+        if (!canManageUser(req.user, req.params.id)) {
             return res.status(403).json({ message: 'Access denied' });
         }
 
@@ -242,8 +340,8 @@ router.get('/profile/:id', auth, async (req, res) => {
             createdAt: user.createdAt
         };
 
-        // Add additional data for admin users
-        if (req.user.role === 'admin') {
+        // Add additional data for user managers
+        if (canManageUser(req.user)) {
             profileData.permissions = user.permissions;
             profileData.rewards = user.rewards;
             profileData.lastTaskCompletion = user.lastTaskCompletion;
@@ -256,20 +354,24 @@ router.get('/profile/:id', auth, async (req, res) => {
     }
 });
 
-// Helper function to get default permissions based on role
-function getDefaultPermissions(role) {
-    switch (role) {
-        case 'admin':
-            return ['create_project', 'edit_project', 'delete_project', 'view_all_tasks', 'manage_users', 'view_reports'];
-        case 'designer':
-            return ['create_project', 'edit_project', 'view_all_tasks'];
-        case 'project_manager':
-            return ['create_project', 'edit_project', 'view_all_tasks', 'view_reports'];
-        case 'sales_representative':
-            return ['view_all_tasks', 'view_reports'];
-        default:
-            return ['view_all_tasks'];
+// Fields that PUT /api/users/:id copies from the request body; any other key is ignored.
+// `password` is handled separately (user managers only).
+const EDITABLE_USER_FIELDS = ['name', 'email', 'department'];
+
+const ADMIN_ACCOUNT_DENIED = 'Only admins can change admin accounts';
+
+// Helper function to check if `target` is an admin account, which only admins may edit, delete or reset
+function isProtectedAdmin(user, target) {
+    return target.role === 'admin' && user.role !== 'admin';
+}
+
+// Helper function to check if the user manages users (admin or manage_users),
+// or, when a target id is given, is acting on their own account
+function canManageUser(user, targetId) {
+    if (user.role === 'admin' || (user.permissions || []).includes('manage_users')) {
+        return true;
     }
+    return !!targetId && user._id.toString() === targetId;
 }
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,268 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { auth, isAdmin } = require('../middleware/auth');
+const { generateWebhookSecret } = require('../utils/webhooks');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const DELIVERY_STATUSES = ['pending', 'sending', 'succeeded', 'failed'];
+
+const URL_OPTIONS = { protocols: ['http', 'https'], require_protocol: true, require_tld: false };
+
+// Webhook subscriptions for external tools (Admin only)
+
+// Get the list of events webhooks can subscribe to
+router.get('/events', [auth, isAdmin], (req, res) => {
+    res.json(Webhook.WEBHOOK_EVENTS);
+});
+
+// Get all webhooks
+router.get('/', [auth, isAdmin], async (req, res) => {
+    try {
+        const webhooks = await Webhook.find()
+            .sort({ createdAt: -1 })
+            .populate('createdBy', 'name email');
+        res.json(webhooks);
+    } catch (error) {
+        console.error('Error fetching webhooks:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Create a webhook; the signing secret is only returned in this response
+router.post('/', [
+    auth,
+    isAdmin,
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('url').trim().isURL(URL_OPTIONS).withMessage('A valid http(s) URL is required'),
+    body('events').isArray({ min: 1 }).withMessage('At least one event is required'),
+    body('events.*').isIn(Webhook.WEBHOOK_EVENTS).withMessage('Invalid event'),
+    body('secret').optional().isString().isLength({ min: 16 }).withMessage('Secret must be at least 16 characters long')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { name, url, events } = req.body;
+        const secret = req.body.secret || generateWebhookSecret();
+
+        const webhook = new Webhook({
+            name,
+            url,
+            events: [...new Set(events)],
+            secret,
+            createdBy: req.user._id
+        });
+        await webhook.save();
+
+        res.status(201).json({ ...webhook.toObject(), secret });
+    } catch (error) {
+        console.error('Error creating webhook:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+});
+
+// Get webhook by ID
+router.get('/:id', [auth, isAdmin], async (req, res) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ message: 'Webhook not found' });
+        }
+
+        res.json(webhook);
+    } catch (error) {
+        console.error('Error fetching webhook:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Update webhook name, URL, events or active flag
+router.put('/:id', [
+    auth,
+    isAdmin,
+    body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+    body('url').optional().trim().isURL(URL_OPTIONS).withMessage('A valid http(s) URL is required'),
+    body('events').optional().isArray({ min: 1 }).withMessage('At least one event is required'),
+    body('events.*').isIn(Webhook.WEBHOOK_EVENTS).withMessage('Invalid event'),
+    body('active').optional().isBoolean({ strict: true }).withMessage('Active must be a boolean')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const webhook = await findWebhook(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ message: 'Webhook not found' });
+        }
+
+        // The secret is changed through rotate-secret only
+        const updates = Object.keys(req.body);
+        const allowedUpdates = ['name', 'url', 'events', 'active'];
+        const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+        if (!isValidOperation) {
+            return res.status(400).json({ message: 'Invalid updates' });
+        }
+
+        updates.forEach(update => {
+            webhook[update] = update === 'events' ? [...new Set(req.body.events)] : req.body[update];
+        });
+        await webhook.save();
+
+        res.json(webhook);
+    } catch (error) {
+        console.error('Error updating webhook:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+});
+
+// Replace the signing secret; the new secret is only returned in this response
+router.post('/:id/rotate-secret', [auth, isAdmin], async (req, res) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ message: 'Webhook not found' });
+        }
+
+        const secret = generateWebhookSecret();
+        webhook.secret = secret;
+        await webhook.save();
+
+        res.json({ ...webhook.toObject(), secret });
+    } catch (error) {
+        console.error('Error rotating webhook secret:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Queue a "ping" event to check that the receiver is reachable and verifies signatures
+router.post('/:id/ping', [auth, isAdmin], async (req, res) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ message: 'Webhook not found' });
+        }
+
+        const eventId = crypto.randomUUID();
+        const delivery = await WebhookDelivery.create({
+            webhook: webhook._id,
+            event: 'ping',
+            eventId,
+            payload: { id: eventId, event: 'ping', createdAt: new Date(), data: { webhook: webhook._id } }
+        });
+
+        res.status(202).json(delivery);
+    } catch (error) {
+        console.error('Error pinging webhook:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Delete a webhook and its delivery log
+router.delete('/:id', [auth, isAdmin], async (req, res) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ message: 'Webhook not found' });
+        }
+
+        await WebhookDelivery.deleteMany({ webhook: webhook._id });
+        await Webhook.deleteOne({ _id: webhook._id });
+
+        res.json({ message: 'Webhook deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Delivery log of a webhook, newest first
+// Supported query params: status, event, page, limit
+router.get('/:id/deliveries', [auth, isAdmin], async (req, res) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ message: 'Webhook not found' });
+        }
+
+        const filter = { webhook: webhook._id };
+        if (req.query.status) {
+            if (!DELIVERY_STATUSES.includes(req.query.status)) {
+                return res.status(400).json({ message: 'Invalid status' });
+            }
+            filter.status = req.query.status;
+        }
+        if (req.query.event) {
+            filter.event = String(req.query.event);
+        }
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const skip = (page - 1) * limit;
+
+        const [deliveries, total] = await Promise.all([
+            WebhookDelivery.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(skip)
+                .limit(limit),
+            WebhookDelivery.countDocuments(filter)
+        ]);
+
+        const rangeEnd = deliveries.length > 0 ? skip + deliveries.length - 1 : skip;
+        res.set('X-Total-Count', String(total));
+        res.set('Content-Range', `webhook-deliveries ${skip}-${rangeEnd}/${total}`);
+        res.set('X-Page', String(page));
+        res.set('X-Per-Page', String(limit));
+
+        res.json(deliveries);
+    } catch (error) {
+        console.error('Error fetching webhook deliveries:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Send a past delivery again as a new delivery with the same payload
+router.post('/:id/deliveries/:deliveryId/redeliver', [auth, isAdmin], async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(req.params.deliveryId)) {
+            return res.status(404).json({ message: 'Delivery not found' });
+        }
+
+        const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: req.params.id });
+        if (!delivery) {
+            return res.status(404).json({ message: 'Delivery not found' });
+        }
+
+        const redelivery = await WebhookDelivery.create({
+            webhook: delivery.webhook,
+            event: delivery.event,
+            eventId: delivery.eventId,
+            payload: delivery.payload
+        });
+
+        res.status(202).json(redelivery);
+    } catch (error) {
+        console.error('Error redelivering webhook:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Helper function to load a webhook, treating malformed ids as not found
+async function findWebhook(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return null;
+    }
+    return Webhook.findById(id).populate('createdBy', 'name email');
+}
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const User = require('../models/User');
+const Role = require('../models/Role');
 const bcrypt = require('bcryptjs');
 require('dotenv').config();
 
@@ -24,6 +25,9 @@ const createAdmin = async () => {
       useUnifiedTopology: true,
     });
 
+    // Users are validated against the Role collection
+    await Role.ensureDefaults();
+
     // Generate new password hash
     const hashedPassword = await bcrypt.hash('admin123', 10);
 
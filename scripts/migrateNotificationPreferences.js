@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const NotificationPreference = require('../models/NotificationPreference');
+require('dotenv').config();
+
+// Moves the old per-user `dueDateReminders` and `emailNotifications` fields
+// into NotificationPreference documents and removes them from users.
+const migrateNotificationPreferences = async () => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      console.error('Error: MONGODB_URI is not set in environment variables');
+      process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    // The fields are no longer in the schema, so read the raw documents
+    const users = await User.collection.find({
+      $or: [
+        { dueDateReminders: { $exists: true } },
+        { emailNotifications: { $exists: true } }
+      ]
+    }).project({ dueDateReminders: 1, emailNotifications: 1 }).toArray();
+
+    let migrated = 0;
+    for (const user of users) {
+      const preference = await NotificationPreference.getForUser(user._id);
+
+      if (user.dueDateReminders === false) {
+        preference.setChannels('due_reminder', { inApp: false, email: false, push: false });
+      }
+      if (NotificationPreference.EMAIL_MODES.includes(user.emailNotifications)) {
+        preference.emailMode = user.emailNotifications;
+      }
+
+      await preference.save();
+      await User.collection.updateOne(
+        { _id: user._id },
+        { $unset: { dueDateReminders: '', emailNotifications: '' } }
+      );
+      migrated++;
+    }
+
+    console.log(`Migrated notification preferences of ${migrated} user(s)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating notification preferences:', error);
+    process.exit(1);
+  }
+};
+
+migrateNotificationPreferences();
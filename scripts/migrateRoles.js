@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const User = require('../models/User');
+require('dotenv').config();
+
+// Seeds the built-in roles and resyncs every user's permissions from their role.
+// Users whose role is not defined in the Role collection fall back to "employee".
+const migrateRoles = async () => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      console.error('Error: MONGODB_URI is not set in environment variables');
+      process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    await Role.ensureDefaults();
+    console.log('Default roles verified');
+
+    const roles = await Role.find();
+    const permissionsByRole = new Map(roles.map(role => [role.name, role.permissions]));
+
+    const users = await User.find().select('email role permissions');
+    let updated = 0;
+
+    for (const user of users) {
+      let role = user.role;
+      if (!permissionsByRole.has(role)) {
+        console.log(`Unknown role "${role}" for ${user.email}, falling back to employee`);
+        role = 'employee';
+      }
+
+      // Update directly to skip the password hashing hook
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { role, permissions: permissionsByRole.get(role) } }
+      );
+      updated++;
+    }
+
+    console.log(`Migrated ${updated} user(s)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating roles:', error);
+    process.exit(1);
+  }
+};
+
+migrateRoles();
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+require('dotenv').config();
+
+// Copies the single `assignedTo` of existing tasks into the `assignees` list
+// (the assignee becomes the primary one) and gives them an empty watcher list.
+const migrateTaskAssignees = async () => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      console.error('Error: MONGODB_URI is not set in environment variables');
+      process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    // Raw update so the whole collection is migrated in one round trip
+    const assignees = await Task.collection.updateMany(
+      { assignees: { $exists: false } },
+      [{ $set: { assignees: ['$assignedTo'] } }]
+    );
+    const watchers = await Task.collection.updateMany(
+      { watchers: { $exists: false } },
+      { $set: { watchers: [] } }
+    );
+
+    console.log(`Migrated assignees of ${assignees.modifiedCount} task(s), watchers of ${watchers.modifiedCount} task(s)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating task assignees:', error);
+    process.exit(1);
+  }
+};
+
+migrateTaskAssignees();
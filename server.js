@@ -3,6 +3,16 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const bodyParser = require('body-parser');
+const Role = require('./models/Role');
+const User = require('./models/User');
+const { scheduleJob } = require('./jobs/scheduler');
+const { markOverdueTasks } = require('./jobs/overdueTasks');
+const { sendDueDateReminders } = require('./jobs/dueDateReminders');
+const { processEmailQueue } = require('./jobs/emailDelivery');
+const { sendEmailDigests } = require('./jobs/emailDigests');
+const { archiveNotifications } = require('./jobs/notificationRetention');
+const { processWebhookQueue } = require('./jobs/webhookDelivery');
+const { createRecurringTasks } = require('./jobs/recurringTasks');
 
 // Load environment variables
 dotenv.config();
@@ -15,7 +25,7 @@ app.use(cors({
     origin: ['http://localhost:3000', 'http://localhost:3001', 'https://www.bakerycrm.shop'],
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
     allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept'],
-    exposedHeaders: ['Content-Range', 'X-Content-Range'],
+    exposedHeaders: ['Content-Range', 'X-Content-Range', 'X-Total-Count', 'X-Page', 'X-Per-Page'],
     credentials: true,
     maxAge: 600, // Cache preflight requests for 10 minutes
     preflightContinue: false,
@@ -46,10 +56,43 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/taskman',
     useNewUrlParser: true,
     useUnifiedTopology: true
 })
-.then(() => {
+.then(async () => {
     console.log('Connected to MongoDB');
     console.log('MongoDB connection state:', mongoose.connection.readyState);
     console.log('Current database:', mongoose.connection.db?.databaseName);
+
+    // Make sure the built-in roles exist before users are validated against them
+    await Role.ensureDefaults();
+    console.log('Default roles verified');
+
+    // Permissions always follow the role, so stale stored ones never widen access
+    const resyncedUsers = await User.syncPermissionsWithRoles();
+    if (resyncedUsers > 0) {
+        console.log(`Synced permissions of ${resyncedUsers} user(s) with their role`);
+    }
+
+    // Background jobs (set DISABLE_JOBS=true to run them elsewhere)
+    if (process.env.DISABLE_JOBS !== 'true') {
+        const overdueIntervalMinutes = parseInt(process.env.OVERDUE_CHECK_INTERVAL_MINUTES, 10) || 15;
+        scheduleJob('mark-overdue-tasks', overdueIntervalMinutes * 60 * 1000, markOverdueTasks);
+
+        const reminderIntervalMinutes = parseInt(process.env.REMINDER_CHECK_INTERVAL_MINUTES, 10) || 15;
+        scheduleJob('due-date-reminders', reminderIntervalMinutes * 60 * 1000, () => sendDueDateReminders());
+
+        const emailQueueIntervalSeconds = parseInt(process.env.EMAIL_QUEUE_INTERVAL_SECONDS, 10) || 60;
+        scheduleJob('email-delivery', emailQueueIntervalSeconds * 1000, () => processEmailQueue());
+
+        // Hourly check; each user's digest is queued once a day after EMAIL_DIGEST_HOUR
+        scheduleJob('email-digests', 60 * 60 * 1000, () => sendEmailDigests());
+
+        scheduleJob('notification-retention', 60 * 60 * 1000, () => archiveNotifications());
+
+        const webhookIntervalSeconds = parseInt(process.env.WEBHOOK_QUEUE_INTERVAL_SECONDS, 10) || 15;
+        scheduleJob('webhook-delivery', webhookIntervalSeconds * 1000, () => processWebhookQueue());
+
+        const recurringIntervalMinutes = parseInt(process.env.RECURRING_TASKS_INTERVAL_MINUTES, 10) || 60;
+        scheduleJob('recurring-tasks', recurringIntervalMinutes * 60 * 1000, () => createRecurringTasks());
+    }
 })
 .catch(err => {
     console.error('MongoDB connection error:', err);
@@ -68,9 +111,16 @@ mongoose.connection.on('disconnected', () => {
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/projects', require('./routes/projects'));
+app.use('/api/project-templates', require('./routes/projectTemplates'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/roles', require('./routes/roles'));
+app.use('/api/settings', require('./routes/settings'));
+app.use('/api/invitations', require('./routes/invitations'));
+app.use('/api/audit-logs', require('./routes/auditLogs'));
 app.use('/api/tasks', require('./routes/tasks'));
+app.use('/api/recurring-tasks', require('./routes/recurringTasks'));
 app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/webhooks', require('./routes/webhooks'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
+const { getStorage } = require('./storage');
+
+const MAX_FILES_PER_UPLOAD = 10;
+
+// Types accepted unless UPLOAD_ALLOWED_TYPES (comma separated) overrides them.
+// SVG and HTML are left out on purpose: browsers run scripts embedded in them.
+const DEFAULT_ALLOWED_TYPES = [
+    'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic',
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'text/plain', 'text/csv',
+    'application/zip',
+    // CAD drawings
+    'image/vnd.dwg', 'application/acad', 'image/vnd.dxf', 'application/dxf'
+];
+
+// File extensions accepted for each built-in type. The client-supplied type alone is
+// not trusted: the file name has to match it. Types added through UPLOAD_ALLOWED_TYPES
+// that are not listed here are accepted with any extension.
+const TYPE_EXTENSIONS = {
+    'image/jpeg': ['.jpg', '.jpeg'],
+    'image/png': ['.png'],
+    'image/gif': ['.gif'],
+    'image/webp': ['.webp'],
+    'image/heic': ['.heic'],
+    'application/pdf': ['.pdf'],
+    'application/msword': ['.doc'],
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+    // Windows browsers report CSV files as Excel
+    'application/vnd.ms-excel': ['.xls', '.csv'],
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+    'application/vnd.ms-powerpoint': ['.ppt'],
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'],
+    'text/plain': ['.txt'],
+    'text/csv': ['.csv'],
+    'application/zip': ['.zip'],
+    'image/vnd.dwg': ['.dwg'],
+    'application/acad': ['.dwg'],
+    'image/vnd.dxf': ['.dxf'],
+    'application/dxf': ['.dxf']
+};
+
+const getMaxUploadBytes = () => (parseInt(process.env.MAX_UPLOAD_MB, 10) || 20) * 1024 * 1024;
+
+const getAllowedTypes = () => (process.env.UPLOAD_ALLOWED_TYPES
+    ? process.env.UPLOAD_ALLOWED_TYPES.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_ALLOWED_TYPES);
+
+// Check a file's declared type against the allowed list and its extension
+const isAllowedFile = (file) => {
+    const type = file.mimetype.toLowerCase();
+    if (!getAllowedTypes().includes(type)) {
+        return false;
+    }
+    const extensions = TYPE_EXTENSIONS[type];
+    return !extensions || extensions.includes(path.extname(file.originalname).toLowerCase());
+};
+
+// Files are streamed to a temporary directory, not held in memory, until they
+// are handed to the storage backend
+const createUploader = () => multer({
+    storage: multer.diskStorage({
+        destination: process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'taskman-uploads')
+    }),
+    // Browsers send UTF-8 file names without declaring a charset
+    defParamCharset: 'utf8',
+    limits: { fileSize: getMaxUploadBytes(), files: MAX_FILES_PER_UPLOAD },
+    fileFilter: (req, file, callback) => {
+        if (!isAllowedFile(file)) {
+            const error = new Error(`File type ${file.mimetype} is not allowed for ${path.basename(file.originalname)}`);
+            error.code = 'UNSUPPORTED_FILE_TYPE';
+            return callback(error);
+        }
+        callback(null, true);
+    }
+});
+
+// Parse a multipart request with the files in the `files` field.
+// Resolves with { files } or { status, message } for requests to reject.
+const receiveUpload = (req, res) => new Promise((resolve, reject) => {
+    createUploader().array('files', MAX_FILES_PER_UPLOAD)(req, res, (error) => {
+        if (!error) {
+            if (!req.files || req.files.length === 0) {
+                return resolve({ status: 400, message: 'No files uploaded. Send them as multipart/form-data in the "files" field' });
+            }
+            return resolve({ files: req.files });
+        }
+
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return resolve({ status: 413, message: `Files may be at most ${getMaxUploadBytes() / 1024 / 1024} MB` });
+        }
+        if (error.code === 'UNSUPPORTED_FILE_TYPE') {
+            return resolve({ status: 415, message: error.message });
+        }
+        if (error instanceof multer.MulterError) {
+            return resolve({ status: 400, message: error.message });
+        }
+        reject(error);
+    });
+});
+
+// Keep storage keys readable but free of path separators and odd characters
+const safeFileName = (name) => path.basename(name).replace(/[^\w.-]+/g, '_').slice(-100) || 'file';
+
+// Write uploaded files to storage under `prefix` and return attachment entries.
+// If one write fails the files already stored are removed again. The temporary
+// upload files are always deleted.
+const storeFiles = async (files, prefix, userId) => {
+    const storage = getStorage();
+    const stored = [];
+
+    try {
+        for (const file of files) {
+            const storageKey = `${prefix}/${crypto.randomBytes(8).toString('hex')}-${safeFileName(file.originalname)}`;
+            await storage.put(storageKey, file.path, file.mimetype);
+            stored.push({
+                name: file.originalname,
+                type: file.mimetype,
+                size: file.size,
+                storageKey,
+                uploadedBy: userId,
+                uploadedAt: new Date()
+            });
+        }
+    } catch (error) {
+        await removeStoredFiles(stored);
+        throw error;
+    } finally {
+        await Promise.all(files.map(file => fs.promises.rm(file.path, { force: true })));
+    }
+
+    return stored;
+};
+
+// Delete stored files of attachment entries. Never throws: a missing file
+// must not block deleting the task or project it belonged to.
+const removeStoredFiles = async (attachments) => {
+    const storage = getStorage();
+    await Promise.all((attachments || [])
+        .filter(attachment => attachment && attachment.storageKey)
+        .map(async (attachment) => {
+            try {
+                await storage.remove(attachment.storageKey);
+            } catch (error) {
+                console.error(`Error removing stored file ${attachment.storageKey}:`, error);
+            }
+        }));
+};
+
+// Stream a stored file to the client as a download
+const sendStoredFile = async (res, attachment) => {
+    const stream = await getStorage().getStream(attachment.storageKey);
+
+    res.set({
+        'Content-Type': attachment.type || 'application/octet-stream',
+        'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(attachment.name || 'file')}`,
+        // Never let the browser guess a different (executable) type
+        'X-Content-Type-Options': 'nosniff'
+    });
+    if (attachment.size) {
+        res.set('Content-Length', String(attachment.size));
+    }
+
+    stream.on('error', (error) => {
+        console.error(`Error streaming stored file ${attachment.storageKey}:`, error);
+        res.destroy(error);
+    });
+    stream.pipe(res);
+};
+
+module.exports = { receiveUpload, storeFiles, removeStoredFiles, sendStoredFile };
@@ -0,0 +1,77 @@
+const AuditLog = require('../models/AuditLog');
+
+// Never copy credentials or session data into the audit trail
+const SENSITIVE_FIELDS = [
+    'password',
+    'tokenVersion',
+    'passwordResetTokenHash',
+    'passwordResetExpires',
+    'twoFactor',
+    'failedLoginAttempts',
+    'lockUntil',
+    '__v',
+    'updatedAt'
+];
+
+// Plain, depopulated copy of a document (or object) without sensitive fields
+const snapshot = (doc) => {
+    if (!doc) {
+        return {};
+    }
+
+    const plain = typeof doc.toObject === 'function'
+        ? doc.toObject({ depopulate: true, virtuals: false })
+        : { ...doc };
+
+    SENSITIVE_FIELDS.forEach(field => delete plain[field]);
+    delete plain.id;
+    return JSON.parse(JSON.stringify(plain));
+};
+
+// Field-level diff between two snapshots
+const diff = (before, after) => {
+    const changes = {};
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    keys.forEach(key => {
+        if (key === '_id') {
+            return;
+        }
+        const from = before[key];
+        const to = after[key];
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[key] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+        }
+    });
+
+    return changes;
+};
+
+// Record an audit entry. `before`/`after` may be documents, plain objects or null
+// (null before = created, null after = deleted). Failures are logged, never thrown,
+// so auditing can't break the request that triggered it.
+const recordAudit = async ({ req, actor, action, entityType, entityId, before = null, after = null, metadata = {} }) => {
+    try {
+        const changes = diff(snapshot(before), snapshot(after));
+
+        // Nothing changed, nothing to record (unless the action is purely an event)
+        if (before && after && Object.keys(changes).length === 0 && Object.keys(metadata).length === 0) {
+            return null;
+        }
+
+        return await AuditLog.create({
+            actor: actor || req?.user?._id || null,
+            action,
+            entityType,
+            entityId,
+            changes,
+            metadata,
+            ip: req?.ip
+        });
+    } catch (error) {
+        console.error(`Error writing audit log for ${action}:`, error);
+        return null;
+    }
+};
+
+module.exports = { recordAudit, snapshot };
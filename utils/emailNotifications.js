@@ -0,0 +1,58 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const OutboundEmail = require('../models/OutboundEmail');
+const { MANDATORY_EMAIL_TYPES } = require('../models/NotificationPreference');
+const { renderNotificationEmail } = require('./emailTemplates');
+
+// Queue emails for freshly created notifications. Recipients with immediate
+// delivery get one email each; daily digest users are picked up by the digest
+// job later. `preferences` maps recipient ids to their NotificationPreference.
+// Sending happens in the email delivery job.
+const queueNotificationEmails = async (notifications, preferences) => {
+    const immediate = notifications.filter(notification => {
+        if (!notification.channels.email) {
+            return false;
+        }
+        const preference = preferences.get(notification.recipient.toString());
+        return preference.emailMode === 'immediate' || MANDATORY_EMAIL_TYPES.includes(notification.type);
+    });
+
+    if (immediate.length === 0) {
+        return 0;
+    }
+
+    const users = await User.find({ _id: { $in: immediate.map(notification => notification.recipient) } })
+        .select('name email');
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const emails = [];
+    immediate.forEach(notification => {
+        const user = usersById.get(notification.recipient.toString());
+        if (!user) {
+            return;
+        }
+
+        const { subject, text } = renderNotificationEmail(notification, user);
+        emails.push({
+            user: user._id,
+            kind: 'notification',
+            notifications: [notification._id],
+            to: user.email,
+            subject,
+            text
+        });
+    });
+
+    if (emails.length === 0) {
+        return 0;
+    }
+
+    await OutboundEmail.insertMany(emails);
+    await Notification.updateMany(
+        { _id: { $in: emails.map(email => email.notifications[0]) } },
+        { $set: { emailedAt: new Date() } }
+    );
+    return emails.length;
+};
+
+module.exports = { queueNotificationEmails };
@@ -0,0 +1,82 @@
+// Email templates for notifications, keyed by notification type. `action` labels
+// the link back to the app; `footer` replaces the default preferences hint.
+const TEMPLATES = {
+    task_assigned: { subject: 'A new task was assigned to you', action: 'View the task' },
+    task_status_change: { subject: 'A task status changed', action: 'View the task' },
+    comment: { subject: 'New comment on a task', action: 'Reply' },
+    extension_request: { subject: 'Due date extension requested', action: 'Review the request' },
+    extension_response: { subject: 'Your extension request was answered', action: 'View the task' },
+    reward: { subject: 'You earned reward points', action: 'View the task' },
+    overdue: { subject: 'A task is overdue', action: 'View the task' },
+    due_reminder: { subject: 'A task is due soon', action: 'View the task' },
+    blocker_completed: { subject: 'A task you are waiting on was completed', action: 'View the task' },
+    project_team_added: { subject: 'You were added to a project', action: 'Open the project' },
+    project_status_change: { subject: 'A project status changed', action: 'Open the project' },
+    milestone_due: { subject: 'A project milestone is due soon', action: 'Open the project' },
+    account_locked: {
+        subject: 'Your account has been temporarily locked',
+        footer: 'If this wasn\'t you, reset your password or contact an administrator.'
+    },
+    password_changed: {
+        subject: 'Your password was changed',
+        footer: 'If this wasn\'t you, contact an administrator immediately.'
+    },
+    announcement: { subject: 'Announcement', action: 'Open TaskMan' }
+};
+
+const DEFAULT_FOOTER = 'You can switch between immediate emails, a daily digest or no emails in your profile settings.';
+
+const appUrl = () => process.env.APP_URL || 'http://localhost:3000';
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Link to the page the notification is about
+const notificationLink = (notification) => {
+    if (notification.task) {
+        return `${appUrl()}/tasks/${idOf(notification.task)}`;
+    }
+    if (notification.project) {
+        return `${appUrl()}/projects/${idOf(notification.project)}`;
+    }
+    return `${appUrl()}/notifications`;
+};
+
+const templateFor = (type) => TEMPLATES[type] || { subject: 'New notification', action: 'View' };
+
+// Render a single notification email for `user` ({ name })
+const renderNotificationEmail = (notification, user) => {
+    const template = templateFor(notification.type);
+    const lines = [`Hi ${user.name},`, '', notification.message];
+
+    if (template.action) {
+        lines.push('', `${template.action}: ${notificationLink(notification)}`);
+    }
+    lines.push('', template.footer || DEFAULT_FOOTER);
+
+    return { subject: template.subject, text: lines.join('\n') };
+};
+
+// Render one digest email summarizing several notifications, oldest first
+const renderDigestEmail = (notifications, user) => {
+    const count = notifications.length;
+    const lines = [
+        `Hi ${user.name},`,
+        '',
+        `Here is what happened since your last digest (${count} notification${count === 1 ? '' : 's'}):`,
+        ''
+    ];
+
+    notifications.forEach(notification => {
+        lines.push(`- [${templateFor(notification.type).subject}] ${notification.message}`);
+        lines.push(`  ${notificationLink(notification)}`);
+    });
+
+    lines.push('', DEFAULT_FOOTER);
+
+    return {
+        subject: `Your TaskMan daily digest: ${count} new notification${count === 1 ? '' : 's'}`,
+        text: lines.join('\n')
+    };
+};
+
+module.exports = { renderNotificationEmail, renderDigestEmail, notificationLink };
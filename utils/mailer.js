@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Mail transports share a single async `send(message)` method.
+// message: { to, subject, text, html }
+const transports = {
+    // Print messages to the server log (default for local development)
+    console: () => ({
+        send: async (message) => {
+            console.log('--- Outgoing email ---');
+            console.log(`To: ${message.to}`);
+            console.log(`Subject: ${message.subject}`);
+            console.log(message.text);
+            console.log('----------------------');
+            return { delivered: true };
+        }
+    }),
+
+    // Write each message as a JSON file, handy for tests and local inspection
+    file: () => ({
+        send: async (message) => {
+            const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), '.mail');
+            await fs.promises.mkdir(dir, { recursive: true });
+            const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+            const filePath = path.join(dir, fileName);
+            await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+            return { delivered: true, filePath };
+        }
+    }),
+
+    // Deliver through an SMTP server configured with the SMTP_* variables
+    smtp: () => {
+        const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+        return {
+            send: async (message) => {
+                const info = await transporter.sendMail(message);
+                return { delivered: true, messageId: info.messageId };
+            }
+        };
+    }
+};
+
+let activeTransport = null;
+
+// Register an additional transport factory, e.g. for a third-party provider
+const registerTransport = (name, factory) => {
+    transports[name] = factory;
+    activeTransport = null;
+};
+
+// Resolve the transport named by MAIL_TRANSPORT (defaults to console)
+const getTransport = () => {
+    if (!activeTransport) {
+        const name = process.env.MAIL_TRANSPORT || 'console';
+        const factory = transports[name];
+        if (!factory) {
+            throw new Error(`Unknown mail transport: ${name}`);
+        }
+        activeTransport = factory();
+    }
+    return activeTransport;
+};
+
+// Send an email through the configured transport
+const sendMail = async (message) => {
+    const from = process.env.MAIL_FROM || 'no-reply@taskman.local';
+    return getTransport().send({ from, ...message });
+};
+
+module.exports = { sendMail, registerTransport };
@@ -0,0 +1,90 @@
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const Task = require('../models/Task');
+const { publishToUsers, isConnected } = require('./realtime');
+const { queueNotificationEmails } = require('./emailNotifications');
+
+// Push the current unread count to a user's open streams
+const publishUnreadCount = async (userId) => {
+    if (!isConnected(userId)) {
+        return;
+    }
+    const count = await Notification.countDocuments({ ...Notification.inAppFilter(userId), isRead: false });
+    publishToUsers(userId, 'unread_count', { count });
+};
+
+// Create one notification per recipient. Recipients are de-duplicated and
+// `exclude` (usually the acting user) is skipped. Each recipient's preferences
+// decide the channels: muted tasks/projects and types with every channel off
+// produce nothing. Returns the created documents.
+const notify = async ({ recipients, type, message, actor = null, task = null, project = null, targetType, metadata = {}, exclude = [] }) => {
+    const excluded = new Set([].concat(exclude).filter(Boolean).map(id => id.toString()));
+    const uniqueRecipients = [...new Set([].concat(recipients).filter(Boolean).map(id => id.toString()))]
+        .filter(id => !excluded.has(id));
+
+    if (uniqueRecipients.length === 0) {
+        return [];
+    }
+
+    const preferences = await NotificationPreference.getForUsers(uniqueRecipients);
+
+    // Muting a project also mutes its tasks, so look the project up when needed
+    let mutedScope = { task, project };
+    if (task && !project && [...preferences.values()].some(preference => preference.mutedProjects.length > 0)) {
+        const taskDoc = await Task.findById(task).select('project');
+        mutedScope = { task, project: taskDoc ? taskDoc.project : null };
+    }
+
+    const deliveries = uniqueRecipients
+        .map(recipient => {
+            const preference = preferences.get(recipient);
+            if (preference.isMuted(mutedScope)) {
+                return null;
+            }
+            const channels = preference.channelsFor(type);
+            return channels.inApp || channels.email || channels.push ? { recipient, channels } : null;
+        })
+        .filter(Boolean);
+
+    if (deliveries.length === 0) {
+        return [];
+    }
+
+    const resolvedTargetType = targetType || (task ? 'task' : project ? 'project' : 'system');
+
+    const notifications = await Notification.insertMany(deliveries.map(({ recipient, channels }) => ({
+        recipient,
+        targetType: resolvedTargetType,
+        task,
+        project,
+        type,
+        actor,
+        message,
+        metadata,
+        channels
+    })));
+
+    // Real-time delivery must never fail the request that created the notification
+    try {
+        notifications
+            .filter(notification => notification.channels.push)
+            .forEach(notification => {
+                publishToUsers(notification.recipient, 'notification', notification.toObject(), notification._id.toString());
+            });
+        await Promise.all(notifications
+            .filter(notification => notification.channels.inApp)
+            .map(notification => publishUnreadCount(notification.recipient)));
+    } catch (error) {
+        console.error('Error pushing notifications:', error);
+    }
+
+    try {
+        await queueNotificationEmails(notifications, preferences);
+    } catch (error) {
+        console.error('Error queueing notification emails:', error);
+    }
+
+    return notifications;
+};
+
+module.exports = { notify, publishUnreadCount };
@@ -0,0 +1,18 @@
+// Helper to compare a user id with a (possibly populated) reference
+const sameId = (ref, userId) => {
+    const id = ref && ref._id ? ref._id : ref;
+    return !!id && id.toString() === userId.toString();
+};
+
+// Admins and the project's manager
+const isProjectManager = (user, project) => {
+    return user.role === 'admin' || sameId(project.projectManager, user._id);
+};
+
+// Admins, the project's manager and its team members
+const isProjectMember = (user, project) => {
+    return isProjectManager(user, project) ||
+        (project.team || []).some(member => sameId(member, user._id));
+};
+
+module.exports = { sameId, isProjectManager, isProjectMember };
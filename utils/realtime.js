@@ -0,0 +1,61 @@
+// Server-Sent Events hub: keeps the open streams per user and pushes events to them.
+// Streams live in this process only; clients connected to another instance pick up
+// missed notifications through Last-Event-ID catch-up when they reconnect.
+const clients = new Map();
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// Write one SSE frame
+const writeEvent = (res, event, data, id) => {
+    if (id) {
+        res.write(`id: ${id}\n`);
+    }
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+// Register an open response stream for a user; returns a cleanup function
+const addClient = (userId, res) => {
+    const key = userId.toString();
+    if (!clients.has(key)) {
+        clients.set(key, new Set());
+    }
+    clients.get(key).add(res);
+
+    // Comment lines keep proxies from closing idle connections
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    return () => {
+        clearInterval(heartbeat);
+        const userClients = clients.get(key);
+        if (userClients) {
+            userClients.delete(res);
+            if (userClients.size === 0) {
+                clients.delete(key);
+            }
+        }
+    };
+};
+
+// Push an event to every open stream of the given users
+const publishToUsers = (userIds, event, data, id) => {
+    const unique = new Set([].concat(userIds).filter(Boolean).map(userId => userId.toString()));
+    unique.forEach(userId => {
+        const userClients = clients.get(userId);
+        if (!userClients) {
+            return;
+        }
+        userClients.forEach(res => {
+            try {
+                writeEvent(res, event, data, id);
+            } catch (error) {
+                console.error(`Error pushing ${event} to user ${userId}:`, error);
+            }
+        });
+    });
+};
+
+// Whether a user currently has an open stream on this instance
+const isConnected = (userId) => clients.has(userId.toString());
+
+module.exports = { addClient, publishToUsers, writeEvent, isConnected };
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Minimal client for S3-compatible object storage (AWS S3, MinIO, R2, ...):
+// PUT, GET and DELETE of single objects, signed with AWS Signature Version 4.
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// SHA-256 of a file, read as a stream
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+});
+
+// RFC 3986 encoding as required by SigV4 (keeps "/" in object keys)
+const encodeKey = (key) => key.split('/').map(part =>
+    encodeURIComponent(part).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+).join('/');
+
+const createS3Client = ({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle = true }) => {
+    const baseUrl = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+
+    const objectUrl = (key) => {
+        const url = new URL(baseUrl.toString());
+        if (forcePathStyle) {
+            url.pathname = `/${bucket}/${encodeKey(key)}`;
+        } else {
+            url.hostname = `${bucket}.${url.hostname}`;
+            url.pathname = `/${encodeKey(key)}`;
+        }
+        return url;
+    };
+
+    // `payloadHash` must be given for streamed bodies, which cannot be hashed here
+    const signedRequest = async (method, key, { body, headers = {}, payloadHash = sha256(body || '') } = {}) => {
+        const url = objectUrl(key);
+        const now = new Date();
+        const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const dateStamp = amzDate.slice(0, 8);
+
+        const allHeaders = {
+            ...headers,
+            host: url.host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate
+        };
+        const signedHeaderNames = Object.keys(allHeaders).map(name => name.toLowerCase()).sort();
+        const lowerHeaders = Object.fromEntries(
+            Object.entries(allHeaders).map(([name, value]) => [name.toLowerCase(), String(value).trim()])
+        );
+
+        const canonicalRequest = [
+            method,
+            url.pathname,
+            '',
+            signedHeaderNames.map(name => `${name}:${lowerHeaders[name]}`).join('\n') + '\n',
+            signedHeaderNames.join(';'),
+            payloadHash
+        ].join('\n');
+
+        const scope = `${dateStamp}/${region}/s3/aws4_request`;
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+        const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        const requestHeaders = { ...lowerHeaders };
+        delete requestHeaders.host;
+        requestHeaders.authorization =
+            `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaderNames.join(';')}, Signature=${signature}`;
+
+        const streamed = body && typeof body.pipe === 'function';
+        const response = await fetch(url, { method, headers: requestHeaders, body, ...(streamed ? { duplex: 'half' } : {}) });
+        if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+            const text = await response.text();
+            throw new Error(`S3 ${method} ${key} failed with HTTP ${response.status}: ${text.slice(0, 200)}`);
+        }
+        return response;
+    };
+
+    return {
+        putObject: (key, body, contentType) => signedRequest('PUT', key, {
+            body,
+            headers: { 'content-type': contentType || 'application/octet-stream' }
+        }),
+        // Upload a local file without reading it into memory
+        putFile: async (key, filePath, contentType) => {
+            const { size } = await fs.promises.stat(filePath);
+            const payloadHash = await hashFile(filePath);
+            return signedRequest('PUT', key, {
+                body: fs.createReadStream(filePath),
+                payloadHash,
+                headers: {
+                    'content-type': contentType || 'application/octet-stream',
+                    'content-length': size
+                }
+            });
+        },
+        // Resolves with the fetch Response; its body is a web ReadableStream
+        getObject: (key) => signedRequest('GET', key),
+        deleteObject: (key) => signedRequest('DELETE', key)
+    };
+};
+
+module.exports = { createS3Client };
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { createS3Client } = require('./s3');
+
+// File storage backends share three async methods:
+//   put(key, filePath, contentType), getStream(key) -> readable stream, remove(key)
+// `filePath` is a temporary file holding the upload; backends copy it, never move it.
+// Keys are relative paths such as "tasks/<taskId>/<random>-<name>".
+const backends = {
+    // Files under STORAGE_LOCAL_DIR (default ./uploads)
+    local: () => {
+        const root = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'uploads'));
+
+        // Keys are generated by the server, but never let one escape the root
+        const resolveKey = (key) => {
+            const filePath = path.resolve(root, key);
+            if (!filePath.startsWith(root + path.sep)) {
+                throw new Error(`Invalid storage key: ${key}`);
+            }
+            return filePath;
+        };
+
+        return {
+            put: async (key, sourcePath) => {
+                const filePath = resolveKey(key);
+                await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.promises.copyFile(sourcePath, filePath);
+            },
+            getStream: async (key) => {
+                const filePath = resolveKey(key);
+                await fs.promises.access(filePath);
+                return fs.createReadStream(filePath);
+            },
+            remove: async (key) => {
+                await fs.promises.rm(resolveKey(key), { force: true });
+            }
+        };
+    },
+
+    // S3-compatible object storage configured with the S3_* variables
+    s3: () => {
+        const client = createS3Client({
+            endpoint: process.env.S3_ENDPOINT,
+            region: process.env.S3_REGION || 'us-east-1',
+            bucket: process.env.S3_BUCKET,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false'
+        });
+
+        return {
+            put: async (key, sourcePath, contentType) => {
+                await client.putFile(key, sourcePath, contentType);
+            },
+            getStream: async (key) => {
+                const response = await client.getObject(key);
+                return Readable.fromWeb(response.body);
+            },
+            remove: async (key) => {
+                await client.deleteObject(key);
+            }
+        };
+    }
+};
+
+let activeBackend = null;
+
+// Register an additional storage backend factory
+const registerStorage = (name, factory) => {
+    backends[name] = factory;
+    activeBackend = null;
+};
+
+// Resolve the backend named by STORAGE_DRIVER (defaults to local)
+const getStorage = () => {
+    if (!activeBackend) {
+        const name = process.env.STORAGE_DRIVER || 'local';
+        const factory = backends[name];
+        if (!factory) {
+            throw new Error(`Unknown storage driver: ${name}`);
+        }
+        activeBackend = factory();
+    }
+    return activeBackend;
+};
+
+module.exports = { getStorage, registerStorage };
@@ -0,0 +1,103 @@
+const Project = require('../models/Project');
+const User = require('../models/User');
+
+// Admins and users holding `view_all_tasks` can see every task
+const canViewAllTasks = (user) => {
+    return user.role === 'admin' || (user.permissions || []).includes('view_all_tasks');
+};
+
+// Ids of projects the user manages or is a team member of
+const getVisibleProjectIds = async (userId) => {
+    const projects = await Project.find({
+        $or: [
+            { team: userId },
+            { projectManager: userId }
+        ]
+    }).select('_id');
+
+    return projects.map(project => project._id);
+};
+
+// Build a Task query filter limiting results to what the user may see.
+// Returns an empty filter for users who can see every task.
+const getTaskScopeFilter = async (user) => {
+    if (canViewAllTasks(user)) {
+        return {};
+    }
+
+    const projectIds = await getVisibleProjectIds(user._id);
+
+    return {
+        $or: [
+            { assignedTo: user._id },
+            { assignees: user._id },
+            { watchers: user._id },
+            { createdBy: user._id },
+            { project: { $in: projectIds } }
+        ]
+    };
+};
+
+// Check whether the user may see a single task (load assignees and watchers with it)
+const canViewTask = async (user, task) => {
+    if (canViewAllTasks(user)) {
+        return true;
+    }
+
+    const userId = user._id.toString();
+    const idOf = (value) => (value && value._id ? value._id : value);
+
+    const people = [task.assignedTo, ...(task.assignees || []), ...(task.watchers || [])];
+    if (people.some(person => person && idOf(person).toString() === userId)) {
+        return true;
+    }
+    if (task.createdBy && idOf(task.createdBy).toString() === userId) {
+        return true;
+    }
+
+    const projectIds = await getVisibleProjectIds(user._id);
+    const taskProjectId = idOf(task.project);
+    return !!taskProjectId && projectIds.some(id => id.toString() === taskProjectId.toString());
+};
+
+// Ids of the users who can see every task. Not cached, so role and permission
+// changes take effect on the next event on every instance.
+const getViewAllUserIds = async () => {
+    const users = await User.find({
+        $or: [
+            { role: 'admin' },
+            { permissions: 'view_all_tasks' }
+        ]
+    }).select('_id');
+    return users.map(user => user._id.toString());
+};
+
+// Ids of every user who can see the task (used for real-time updates)
+const getTaskAudience = async (task) => {
+    const idOf = (value) => (value && value._id ? value._id : value);
+    const audience = [
+        idOf(task.assignedTo),
+        ...(task.assignees || []).map(idOf),
+        ...(task.watchers || []).map(idOf),
+        idOf(task.createdBy)
+    ];
+
+    const project = await Project.findById(idOf(task.project)).select('projectManager team');
+    if (project) {
+        audience.push(project.projectManager, ...project.team);
+    }
+
+    audience.push(...(await getViewAllUserIds()));
+
+    return [...new Set(audience.filter(Boolean).map(id => id.toString()))];
+};
+
+const TASK_ACCESS_DENIED = 'You do not have access to this task';
+
+module.exports = {
+    canViewAllTasks,
+    getTaskScopeFilter,
+    canViewTask,
+    getTaskAudience,
+    TASK_ACCESS_DENIED
+};
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+
+// The task timeline is read from the audit log: every task route already records
+// its changes there, so the timeline cannot drift from what actually happened.
+
+// Fields on task.update entries that get their own timeline item
+const TRACKED_FIELDS = {
+    status: 'status_changed',
+    assignedTo: 'reassigned',
+    assignees: 'assignees_changed',
+    dueDate: 'due_date_changed',
+    priority: 'priority_changed'
+};
+
+// Turn one audit entry into one or more timeline items
+const toActivityItems = (log) => {
+    const base = {
+        id: log._id,
+        actor: log.actor ? { _id: log.actor._id, name: log.actor.name } : null,
+        at: log.createdAt
+    };
+    const changes = log.changes || {};
+    const metadata = log.metadata || {};
+
+    switch (log.action) {
+        case 'task.create':
+            return [{ ...base, type: 'created' }];
+        case 'task.status_change':
+        case 'task.overdue':
+            return changes.status
+                ? [{ ...base, type: 'status_changed', from: changes.status.from, to: changes.status.to }]
+                : [];
+        case 'task.update': {
+            const items = [];
+            const otherFields = [];
+            Object.keys(changes).forEach(field => {
+                if (TRACKED_FIELDS[field]) {
+                    items.push({ ...base, type: TRACKED_FIELDS[field], from: changes[field].from, to: changes[field].to });
+                } else {
+                    otherFields.push(field);
+                }
+            });
+            if (otherFields.length > 0) {
+                items.push({ ...base, type: 'updated', fields: otherFields });
+            }
+            return items;
+        }
+        case 'task.extension_request': {
+            const request = changes.extensionRequest ? changes.extensionRequest.to : {};
+            return [{ ...base, type: 'extension_requested', reason: request.reason, newDueDate: request.newDueDate }];
+        }
+        case 'task.extension_approve':
+            return [{
+                ...base,
+                type: 'extension_approved',
+                from: changes.dueDate ? changes.dueDate.from : null,
+                to: changes.dueDate ? changes.dueDate.to : null
+            }];
+        case 'task.extension_reject':
+            return [{ ...base, type: 'extension_rejected' }];
+        case 'task.comment':
+            return [{ ...base, type: 'comment', commentId: metadata.commentId, text: metadata.text }];
+        case 'task.dependency_add':
+            return [{ ...base, type: 'dependency_added', predecessor: metadata.predecessor }];
+        case 'task.dependency_remove':
+            return [{ ...base, type: 'dependency_removed', predecessor: metadata.predecessor }];
+        case 'task.watcher_add':
+            return [{ ...base, type: 'watcher_added', user: metadata.user }];
+        case 'task.watcher_remove':
+            return [{ ...base, type: 'watcher_removed', user: metadata.user }];
+        case 'task.checklist_add':
+            return [{ ...base, type: 'checklist_item_added', item: metadata.item, text: metadata.text }];
+        case 'task.checklist_update': {
+            const before = metadata.before || {};
+            const after = metadata.after || {};
+            const items = [];
+            if (before.done !== after.done) {
+                items.push({ ...base, type: after.done ? 'checklist_item_checked' : 'checklist_item_unchecked', item: metadata.item, text: after.text });
+            }
+            if (before.text !== after.text) {
+                items.push({ ...base, type: 'checklist_item_renamed', item: metadata.item, from: before.text, to: after.text });
+            }
+            return items;
+        }
+        case 'task.checklist_remove':
+            return [{ ...base, type: 'checklist_item_removed', item: metadata.item, text: metadata.text }];
+        case 'task.checklist_reorder':
+            return [{ ...base, type: 'checklist_reordered' }];
+        case 'task.attachment_add':
+            return [{ ...base, type: 'attachment_added', files: metadata.files || [] }];
+        case 'task.attachment_remove':
+            return [{ ...base, type: 'attachment_removed', files: metadata.files || [] }];
+        case 'reward.manual_set':
+            return [{
+                ...base,
+                type: 'reward_set',
+                points: changes.manualRewardPoints ? changes.manualRewardPoints.to : undefined
+            }];
+        case 'reward.grant':
+            return [{ ...base, type: 'reward_granted', points: metadata.points, reason: metadata.reason }];
+        default:
+            return [{ ...base, type: log.action }];
+    }
+};
+
+// Build the full timeline for a task, oldest first
+const getTaskActivity = async (taskId) => {
+    // metadata is a Mixed path, so ids are not cast automatically
+    const id = new mongoose.Types.ObjectId(String(taskId));
+    const logs = await AuditLog.find({
+        $or: [
+            { entityType: 'Task', entityId: id },
+            { entityType: 'Reward', 'metadata.task': id }
+        ]
+    })
+        .sort({ createdAt: 1, _id: 1 })
+        .populate('actor', 'name');
+
+    const items = logs.flatMap(toActivityItems);
+
+    // Resolve the user names of assignment and watcher items in a single query
+    const userFields = (item) => {
+        if (item.type === 'reassigned' || item.type === 'assignees_changed') {
+            return ['from', 'to'];
+        }
+        return item.type === 'watcher_added' || item.type === 'watcher_removed' ? ['user'] : [];
+    };
+    const userIds = new Set();
+    items.forEach(item => userFields(item).forEach(field => {
+        [].concat(item[field] || []).forEach(id => userIds.add(String(id)));
+    }));
+
+    if (userIds.size > 0) {
+        const users = await User.find({ _id: { $in: [...userIds] } }).select('name');
+        const names = new Map(users.map(user => [user._id.toString(), user.name]));
+        const toUser = (id) => ({ _id: id, name: names.get(String(id)) || 'unknown' });
+        items.forEach(item => userFields(item).forEach(field => {
+            const value = item[field];
+            if (Array.isArray(value)) {
+                item[field] = value.map(toUser);
+            } else {
+                item[field] = value ? toUser(value) : null;
+            }
+        }));
+    }
+
+    return items;
+};
+
+module.exports = { getTaskActivity };
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+
+const getJwtSecret = () => process.env.JWT_SECRET || 'developmentsecret';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Short-lived JWT carrying the role and session version it was issued for
+const signAccessToken = (user) => {
+    return jwt.sign(
+        { userId: user._id, role: user.role, tokenVersion: user.tokenVersion || 0 },
+        getJwtSecret(),
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+};
+
+const verifyAccessToken = (token) => jwt.verify(token, getJwtSecret());
+
+// Short-lived token proving the password step of a two-factor login.
+// It carries a purpose claim so the auth middleware never accepts it.
+const signTwoFactorPendingToken = (user) => {
+    return jwt.sign(
+        { userId: user._id, purpose: '2fa_pending' },
+        getJwtSecret(),
+        { expiresIn: '5m' }
+    );
+};
+
+const verifyTwoFactorPendingToken = (token) => {
+    const decoded = jwt.verify(token, getJwtSecret());
+    if (decoded.purpose !== '2fa_pending') {
+        throw new Error('Invalid two-factor token');
+    }
+    return decoded;
+};
+
+// Create and store a new refresh token, returning the raw value
+const issueRefreshToken = async (user, req) => {
+    const token = crypto.randomBytes(48).toString('hex');
+    const record = await RefreshToken.create({
+        user: user._id,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+        createdByIp: req?.ip,
+        userAgent: req?.get?.('User-Agent')
+    });
+
+    return { token, record };
+};
+
+// Access + refresh token pair for a freshly authenticated user
+const issueTokenPair = async (user, req) => {
+    const { token: refreshToken } = await issueRefreshToken(user, req);
+    return {
+        token: signAccessToken(user),
+        refreshToken
+    };
+};
+
+// Revoke every refresh token and invalidate outstanding access tokens
+const revokeAllSessions = async (userId) => {
+    await RefreshToken.updateMany(
+        { user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+    await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+};
+
+// Exchange a refresh token for a new pair, revoking the old one.
+// The old token is claimed atomically, so concurrent refreshes with it cannot
+// both succeed; reuse of an already revoked token revokes the whole session family.
+const rotateRefreshToken = async (rawToken, req) => {
+    const tokenHash = hashToken(rawToken);
+    const now = new Date();
+    const record = await RefreshToken.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        { $set: { revokedAt: now } }
+    );
+
+    if (!record) {
+        const existing = await RefreshToken.findOne({ tokenHash });
+        if (!existing) {
+            return { error: 'Invalid refresh token' };
+        }
+        if (existing.revokedAt) {
+            console.warn(`Refresh token reuse detected for user ${existing.user}, revoking all sessions`);
+            await revokeAllSessions(existing.user);
+            return { error: 'Refresh token has been revoked' };
+        }
+        return { error: 'Refresh token has expired' };
+    }
+
+    const user = await User.findById(record.user);
+    if (!user) {
+        return { error: 'User no longer exists' };
+    }
+
+    const { token: refreshToken, record: replacement } = await issueRefreshToken(user, req);
+    await RefreshToken.updateOne({ _id: record._id }, { $set: { replacedBy: replacement._id } });
+
+    return {
+        user,
+        token: signAccessToken(user),
+        refreshToken
+    };
+};
+
+// Revoke a single refresh token (logout of one session)
+const revokeRefreshToken = async (rawToken) => {
+    const result = await RefreshToken.updateOne(
+        { tokenHash: hashToken(rawToken), revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+};
+
+module.exports = {
+    signAccessToken,
+    verifyAccessToken,
+    signTwoFactorPendingToken,
+    verifyTwoFactorPendingToken,
+    issueTokenPair,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAllSessions
+};
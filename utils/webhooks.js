@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000;
+// Response bodies are kept in the delivery log only up to this length
+const MAX_LOGGED_RESPONSE = 2000;
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Signature over "<timestamp>.<body>", so a captured request cannot be replayed
+// later with a fresh timestamp
+const signPayload = (secret, timestamp, body) =>
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Queue an event for every active webhook subscribed to it. The delivery job
+// sends them. Never throws: webhooks must not fail the request that raised the event.
+const dispatchWebhookEvent = async (event, data) => {
+    try {
+        const webhooks = await Webhook.find({ active: true, events: event }).select('_id');
+        if (webhooks.length === 0) {
+            return 0;
+        }
+
+        const eventId = crypto.randomUUID();
+        const payload = { id: eventId, event, createdAt: new Date(), data };
+
+        await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+            webhook: webhook._id,
+            event,
+            eventId,
+            payload
+        })));
+        return webhooks.length;
+    } catch (error) {
+        console.error(`Error queueing webhook event ${event}:`, error);
+        return 0;
+    }
+};
+
+// POST one delivery to its webhook. Resolves with the attempt's outcome;
+// any non-2xx response counts as a failure.
+const sendWebhookRequest = async (webhook, delivery) => {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'TaskMan-Webhooks/1.0',
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': delivery._id.toString(),
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+            },
+            body,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        const responseBody = (await response.text()).slice(0, MAX_LOGGED_RESPONSE);
+
+        return {
+            ok: response.ok,
+            responseStatus: response.status,
+            responseBody,
+            error: response.ok ? null : `HTTP ${response.status}`,
+            durationMs: Date.now() - startedAt
+        };
+    } catch (error) {
+        // fetch reports network errors as "fetch failed" with the reason in `cause`
+        let message = error.cause ? `${error.message}: ${error.cause.message}` : error.message;
+        if (error.name === 'TimeoutError') {
+            message = `Timed out after ${REQUEST_TIMEOUT_MS}ms`;
+        }
+        return {
+            ok: false,
+            responseStatus: null,
+            responseBody: null,
+            error: message,
+            durationMs: Date.now() - startedAt
+        };
+    }
+};
+
+module.exports = {
+    dispatchWebhookEvent,
+    sendWebhookRequest,
+    signPayload,
+    generateWebhookSecret
+};